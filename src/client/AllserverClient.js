@@ -1,4 +1,7 @@
-const { isString, isFunction, isObject } = require("../util");
+const { isString, isFunction, isObject, isMiddlewareApplicable, createId, splitProcedureVersion } = require("../util");
+const { getCurrentCall } = require("../currentCall");
+const createRedactor = require("../redact");
+const createEmitter = require("../emitter");
 
 // Protected variables
 const p = Symbol.for("AllserverClient");
@@ -21,115 +24,144 @@ function addProceduresToObject(allserverClient, procedures, proxyClient) {
     }
 
     const nameMapper = isFunction(allserverClient[p].nameMapper) ? allserverClient[p].nameMapper : (n) => n;
+    const names = new Set();
+    const add = (procedureName) => {
+        names.add(procedureName);
+        if (allserverClient[procedureName]) return;
+        allserverClient[procedureName] = (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
+    };
     for (let [procedureName, type] of Object.entries(procedures)) {
+        if (type !== "function") continue;
+        // The "getUser@1" and "getUser@2" are callable as `client.getUser()` too. The server picks the version.
+        const unversioned = nameMapper(splitProcedureVersion(procedureName)[0]);
         procedureName = nameMapper(procedureName);
-        if (!procedureName || type !== "function" || allserverClient[procedureName]) continue;
-        allserverClient[procedureName] = (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
+        if (procedureName) add(procedureName);
+        if (unversioned) add(unversioned);
     }
+    // The procedures removed server side since the previous introspection.
+    for (const name of allserverClient[p].introspectedProcedures) {
+        if (!names.has(name)) delete allserverClient[name];
+    }
+    allserverClient[p].introspectedProcedures = names;
     return { success: true };
 }
 
-function proxyWrappingInitialiser() {
-    //
-    if (!this[p].dynamicMethods) return;
-
-    // Wrapping our object instance.
-    return new Proxy(this, {
-        get: function (allserverClient, procedureName, proxyClient) {
-            if (procedureName in allserverClient) {
-                return Reflect.get(allserverClient, procedureName, proxyClient);
-            }
+function createNamespacedProcedure(allserverClient, procedureName, proxyClient) {
+    if (procedureName in allserverClient) {
+        return Reflect.get(allserverClient, procedureName, proxyClient);
+    }
 
-            // Method not found!
-            // Checking if automatic introspection is disabled or impossible.
-            const uri = allserverClient[p].transport.uri;
-            if (!allserverClient[p].autoIntrospect || !uri) {
-                // Automatic introspection is disabled or impossible. Well... good luck. :)
-                // Most likely this call would be successful. Unless client and server interfaces are incompatible.
-                // 🤞
-                return (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
-            }
+    const procedure = findProcedure(allserverClient, procedureName, proxyClient);
+    if (typeof procedureName === "symbol") return procedure;
 
-            const introspectionCache = allserverClient.__proto__._introspectionCache;
-            // Let's see if we already introspected that server.
-            const introspectionResult = introspectionCache.get(uri);
-            if (introspectionResult && introspectionResult.success && introspectionResult.procedures) {
-                // Yeah. We already successfully introspected it.
-                addProceduresToObject(allserverClient, introspectionResult.procedures, proxyClient);
-                if (procedureName in allserverClient) {
-                    // The PREVIOUS auto introspection worked as expected. It added a method to the client object.
-                    return Reflect.get(allserverClient, procedureName, proxyClient);
-                } else {
-                    if (allserverClient[p].callIntrospectedProceduresOnly) {
-                        return () => ({
-                            success: false,
-                            code: "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND",
-                            message: `Procedure '${procedureName}' not found via introspection`,
-                        });
-                    }
+    // Any property of a procedure is a nested procedure. E.g. `client.users.create()` calls the "users/create".
+    return new Proxy(procedure, {
+        get(target, name) {
+            // Otherwise, `await client.users` would call the "users/then" procedure.
+            if (typeof name === "symbol" || name === "then") return Reflect.get(target, name);
+            return createNamespacedProcedure(allserverClient, `${procedureName}/${name}`, proxyClient);
+        },
+    });
+}
 
-                    // The method `name` was not present in the introspection, so let's call server side.
-                    // 🤞
-                    return (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
-                }
-            }
+function findProcedure(allserverClient, procedureName, proxyClient) {
+    // Method not found!
+    // Checking if automatic introspection is disabled or impossible.
+    const uri = allserverClient[p].transport.uri;
+    if (!allserverClient[p].autoIntrospect || !uri) {
+        // Automatic introspection is disabled or impossible. Well... good luck. :)
+        // Most likely this call would be successful. Unless client and server interfaces are incompatible.
+        // 🤞
+        return (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
+    }
 
-            // Ok. Automatic introspection is necessary. Let's do it.
-            return async (...args) => {
-                const introspectionResult = await allserverClient.introspect.call(proxyClient);
+    const introspectionCache = allserverClient.__proto__._introspectionCache;
+    // Let's see if we already introspected that server.
+    const introspectionResult = introspectionCache.get(uri);
+    if (introspectionResult && introspectionResult.success && introspectionResult.procedures) {
+        // Yeah. We already successfully introspected it.
+        addProceduresToObject(allserverClient, introspectionResult.procedures, proxyClient);
+        if (procedureName in allserverClient) {
+            // The PREVIOUS auto introspection worked as expected. It added a method to the client object.
+            return Reflect.get(allserverClient, procedureName, proxyClient);
+        } else if (!allserverClient[p].callIntrospectedProceduresOnly) {
+            // The method `name` was not present in the introspection, so let's call server side.
+            // 🤞
+            return (...args) => allserverClient.call.call(proxyClient, procedureName, ...args);
+        } else if (!introspectionResult.version) {
+            // Older servers can't change their procedures at runtime. No need to introspect again.
+            return () => ({
+                success: false,
+                code: "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND",
+                message: `Procedure '${procedureName}' not found via introspection`,
+            });
+        }
+        // The procedure might have been added to the server since the previous introspection. Introspecting again.
+    }
 
-                if (introspectionResult && introspectionResult.success && introspectionResult.procedures) {
-                    // The automatic introspection won't be executed if you create a second instance of the AllserverClient with the same URI! :)
-                    const result = addProceduresToObject(allserverClient, introspectionResult.procedures, proxyClient);
-                    if (result.success) {
-                        // Do not cache unsuccessful introspections
-                        introspectionCache.set(uri, introspectionResult);
-                    } else {
-                        // Couldn't apply introspection to the client object.
-                        return result;
-                    }
-                }
+    // Ok. Automatic introspection is necessary. Let's do it.
+    return async (...args) => {
+        const introspectionResult = await allserverClient.introspect.call(proxyClient);
+
+        if (introspectionResult && introspectionResult.success && introspectionResult.procedures) {
+            // The automatic introspection won't be executed if you create a second instance of the AllserverClient with the same URI! :)
+            const result = addProceduresToObject(allserverClient, introspectionResult.procedures, proxyClient);
+            if (result.success) {
+                // Do not cache unsuccessful introspections
+                introspectionCache.set(uri, introspectionResult);
+            } else {
+                // Couldn't apply introspection to the client object.
+                return result;
+            }
+        }
 
-                if (procedureName in allserverClient) {
-                    // This is the main happy path.
-                    // The auto introspection worked as expected. It added a method to the client object.
-                    return Reflect.get(allserverClient, procedureName, proxyClient)(...args);
-                } else {
-                    if (introspectionResult && introspectionResult.noNetToServer) {
+        if (procedureName in allserverClient) {
+            // This is the main happy path.
+            // The auto introspection worked as expected. It added a method to the client object.
+            return Reflect.get(allserverClient, procedureName, proxyClient)(...args);
+        } else {
+            if (introspectionResult && introspectionResult.noNetToServer) {
+                return {
+                    success: false,
+                    code: "ALLSERVER_CLIENT_PROCEDURE_UNREACHABLE",
+                    message: `Couldn't reach remote procedure: ${procedureName}`,
+                    noNetToServer: introspectionResult.noNetToServer,
+                    error: introspectionResult.error,
+                };
+            } else {
+                if (allserverClient[p].callIntrospectedProceduresOnly) {
+                    if (!introspectionResult || !introspectionResult.success) {
+                        const ir = introspectionResult || {};
                         return {
+                            ...ir, // we need to leave original data if there was any.
                             success: false,
-                            code: "ALLSERVER_CLIENT_PROCEDURE_UNREACHABLE",
-                            message: `Couldn't reach remote procedure: ${procedureName}`,
-                            noNetToServer: introspectionResult.noNetToServer,
-                            error: introspectionResult.error,
+                            code: ir.code || "ALLSERVER_CLIENT_INTROSPECTION_FAILED",
+                            message: ir.message || `Can't call '${procedureName}' procedure, introspection failed`,
                         };
                     } else {
-                        if (allserverClient[p].callIntrospectedProceduresOnly) {
-                            if (!introspectionResult || !introspectionResult.success) {
-                                const ir = introspectionResult || {};
-                                return {
-                                    ...ir, // we need to leave original data if there was any.
-                                    success: false,
-                                    code: ir.code || "ALLSERVER_CLIENT_INTROSPECTION_FAILED",
-                                    message:
-                                        ir.message || `Can't call '${procedureName}' procedure, introspection failed`,
-                                };
-                            } else {
-                                return {
-                                    success: false,
-                                    code: "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND",
-                                    message: `Procedure '${procedureName}' not found via introspection`,
-                                };
-                            }
-                        }
-
-                        // Server is still reachable. It's just introspection didn't work, so let's call server side.
-                        // 🤞
-                        return allserverClient.call.call(proxyClient, procedureName, ...args);
+                        return {
+                            success: false,
+                            code: "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND",
+                            message: `Procedure '${procedureName}' not found via introspection`,
+                        };
                     }
                 }
-            };
-        },
+
+                // Server is still reachable. It's just introspection didn't work, so let's call server side.
+                // 🤞
+                return allserverClient.call.call(proxyClient, procedureName, ...args);
+            }
+        }
+    };
+}
+
+function proxyWrappingInitialiser() {
+    //
+    if (!this[p].dynamicMethods) return;
+
+    // Wrapping our object instance.
+    return new Proxy(this, {
+        get: createNamespacedProcedure,
     });
 }
 
@@ -155,6 +187,23 @@ module.exports = require("stampit")({
             before: [],
             // 'after' middlewares. Invoked after calling server procedure.
             after: [],
+            // 'around' middlewares. Koa-style `async (ctx, next) => {}` functions wrapping the server procedure call.
+            around: [],
+            // How many times to retry a call which couldn't reach the server.
+            retries: 0,
+            // Milliseconds between the retries.
+            retryDelay: 100,
+            // Send a generated idempotency key with every call. The retries of a call send the same key.
+            idempotencyKeys: true,
+            // The `{ paths, keys, values, censor }` rules to censor sensitive data in the error results and `ctx.redacted()`.
+            redact: null,
+            // The procedure versions to call. E.g. `{ getUser: "2" }`. Otherwise, the server picks the version.
+            versions: {},
+            // `true`, or `{ maxSize, delay }`. Send the calls made in the same tick as a single batch request.
+            // The server must have the `batch` option enabled.
+            batch: false,
+            // Where the event listener errors and the deprecation warnings go. The `console` by default.
+            logger: null,
         },
     },
 
@@ -164,6 +213,8 @@ module.exports = require("stampit")({
             http() { return require("./HttpClientTransport"); },
             https() { return require("./HttpClientTransport"); },
             grpc() { return require("./GrpcClientTransport"); },
+            jsonrpc() { return require("./JsonRpcClientTransport"); },
+            "jsonrpc+tcp"() { return require("./JsonRpcClientTransport"); },
         },
     },
 
@@ -178,6 +229,14 @@ module.exports = require("stampit")({
             nameMapper,
             before,
             after,
+            around,
+            retries,
+            retryDelay,
+            idempotencyKeys,
+            redact,
+            batch,
+            logger,
+            versions,
         },
         { stamp }
     ) {
@@ -189,6 +248,22 @@ module.exports = require("stampit")({
                 ? callIntrospectedProceduresOnly
                 : this[p].callIntrospectedProceduresOnly;
         this[p].nameMapper = nameMapper != null ? nameMapper : this[p].nameMapper;
+        this[p].retries = retries != null ? retries : this[p].retries;
+        this[p].retryDelay = retryDelay != null ? retryDelay : this[p].retryDelay;
+        this[p].idempotencyKeys = idempotencyKeys != null ? idempotencyKeys : this[p].idempotencyKeys;
+        this[p].redact = redact || this[p].redact;
+        this[p].redactor = createRedactor(this[p].redact || {});
+        this[p].batch = batch != null ? batch : this[p].batch;
+        this[p].pendingBatch = null;
+        // The method names added by the auto introspection.
+        this[p].introspectedProcedures = new Set();
+        this[p].logger = logger || this[p].logger || console;
+        if (versions) this[p].versions = { ...this[p].versions, ...versions };
+        // The deprecated procedures warned about so far. Warning once per procedure.
+        this[p].warnedDeprecations = new Set();
+        this[p].events = createEmitter((err, eventName) =>
+            this[p].logger.error("ALLSERVER_CLIENT_EVENT_LISTENER_ERROR", err, { eventName })
+        );
 
         this[p].transport = transport || this[p].transport;
         if (!this[p].transport) {
@@ -203,6 +278,7 @@ module.exports = require("stampit")({
 
         if (before) this[p].before = [].concat(before).concat(this[p].before);
         if (after) this[p].after = [].concat(after).concat(this[p].after);
+        if (around) this[p].around = [].concat(around).concat(this[p].around);
     },
 
     methods: {
@@ -214,31 +290,41 @@ module.exports = require("stampit")({
             await this._callMiddlewares(ctx, "before");
 
             if (!ctx.result) {
-                try {
-                    // This is supposed to be executed only once (per uri) unless it throws.
-                    // There are only 3 situations when this throws:
-                    // * the "introspect" method not found on server,
-                    // * the network request is malformed,
-                    // * couldn't connect to the remote host.
-                    ctx.result = await transport.introspect(ctx);
-                } catch (err) {
-                    ctx.result = {
-                        success: false,
-                        code: "ALLSERVER_CLIENT_INTROSPECTION_FAILED",
-                        message: `Couldn't introspect ${transport.uri}`,
-                        noNetToServer: Boolean(err.noNetToServer),
-                        error: err,
-                    };
-                }
+                await this._callAroundMiddlewares(ctx, async () => {
+                    try {
+                        // This is supposed to be executed only once (per uri) unless it throws.
+                        // There are only 3 situations when this throws:
+                        // * the "introspect" method not found on server,
+                        // * the network request is malformed,
+                        // * couldn't connect to the remote host.
+                        ctx.result = await transport.introspect(ctx);
+                    } catch (err) {
+                        ctx.result = {
+                            success: false,
+                            code: "ALLSERVER_CLIENT_INTROSPECTION_FAILED",
+                            message: `Couldn't introspect ${transport.uri}`,
+                            noNetToServer: Boolean(err.noNetToServer),
+                            error: err,
+                        };
+                    }
+                });
             }
 
             await this._callMiddlewares(ctx, "after");
 
+            const result = ctx.result || {};
+            this[p].events.emit("introspection", {
+                uri: transport.uri,
+                success: Boolean(result.success),
+                code: result.code,
+            });
             return ctx.result;
         },
 
         async _callMiddlewares(ctx, middlewareType) {
-            const middlewares = [].concat(this[p][middlewareType]).filter(isFunction);
+            const middlewares = []
+                .concat(this[p][middlewareType])
+                .filter((m) => isFunction(m) && isMiddlewareApplicable(m, ctx));
             for (const middleware of middlewares) {
                 try {
                     const result = await middleware.call(this, ctx);
@@ -247,6 +333,7 @@ module.exports = require("stampit")({
                         break;
                     }
                 } catch (err) {
+                    this._emitCallEvent(ctx, "middleware:error", { middlewareType, error: err });
                     if (!this[p].neverThrow) throw err;
 
                     let { code, message } = err;
@@ -260,32 +347,178 @@ module.exports = require("stampit")({
             }
         },
 
+        async _callAroundMiddlewares(ctx, handler) {
+            const middlewares = []
+                .concat(this[p].around)
+                .filter((m) => isFunction(m) && isMiddlewareApplicable(m, ctx));
+
+            const dispatch = async (index) => {
+                if (index === middlewares.length) {
+                    await handler();
+                    return ctx.result;
+                }
+
+                let nextCalled = false;
+                const next = () => {
+                    if (nextCalled) return Promise.reject(new Error("next() called multiple times"));
+                    nextCalled = true;
+                    return dispatch(index + 1);
+                };
+                const result = await middlewares[index].call(this, ctx, next);
+                if (result !== undefined) ctx.result = result;
+                return ctx.result;
+            };
+
+            try {
+                await dispatch(0);
+            } catch (err) {
+                this._emitCallEvent(ctx, "middleware:error", { middlewareType: "around", error: err });
+                if (!this[p].neverThrow) throw err;
+
+                let { code, message } = err;
+                if (!code) {
+                    code = "ALLSERVER_CLIENT_MIDDLEWARE_ERROR";
+                    message = `The 'around' middleware error while calling '${ctx.procedureName}' procedure`;
+                }
+                ctx.result = { success: false, code, message, error: err };
+            }
+        },
+
+        _callBatched(ctx) {
+            const { maxSize = 50, delay = 0 } = isObject(this[p].batch) ? this[p].batch : {};
+            return new Promise((resolve, reject) => {
+                let pending = this[p].pendingBatch;
+                if (!pending || pending.length >= maxSize) {
+                    pending = this[p].pendingBatch = [];
+                    setTimeout(() => {
+                        if (this[p].pendingBatch === pending) this[p].pendingBatch = null;
+                        this._sendBatch(pending);
+                    }, delay);
+                }
+                pending.push({ ctx, resolve, reject });
+            });
+        },
+
+        async _sendBatch(pending) {
+            const transport = this[p].transport;
+            try {
+                // Nothing to batch.
+                if (pending.length === 1) return pending[0].resolve(await transport.call(pending[0].ctx));
+
+                const results = await transport.callBatch(pending.map((call) => call.ctx));
+                if (!Array.isArray(results) || results.length !== pending.length) {
+                    const err = new Error(`Malformed batch reply from ${transport.uri}`);
+                    err.code = "ALLSERVER_CLIENT_MALFORMED_BATCH_REPLY";
+                    throw err;
+                }
+                pending.forEach((call, i) => call.resolve(results[i]));
+            } catch (err) {
+                pending.forEach((call) => call.reject(err));
+            }
+        },
+
         async call(procedureName, arg) {
             const transport = this[p].transport;
-            const defaultCtx = { procedureName, arg, client: this };
+            // The "getUser@2" calls the version "2" of the "getUser" procedure.
+            const [name, version] = splitProcedureVersion(procedureName);
+            procedureName = name;
+            const defaultCtx = { procedureName, arg, client: this, redacted: (value) => this[p].redactor(value) };
+            const procedureVersion = version || this[p].versions[name];
+            if (procedureVersion) defaultCtx.procedureVersion = String(procedureVersion);
+            if (this[p].idempotencyKeys) defaultCtx.idempotencyKey = createId();
+            // Called from within an Allserver procedure? Continuing its trace and request ID. Middlewares can set them too.
+            const currentCall = getCurrentCall();
+            if (currentCall) {
+                if (currentCall.trace) defaultCtx.trace = currentCall.trace;
+                defaultCtx.requestId = currentCall.requestId;
+            }
             const ctx = transport.createCallContext(defaultCtx);
+            const startedAt = Date.now();
+            this._emitCallEvent(ctx, "call:start");
 
             await this._callMiddlewares(ctx, "before");
 
             if (!ctx.result) {
-                try {
-                    ctx.result = await transport.call(ctx);
-                } catch (err) {
-                    if (!this[p].neverThrow) throw err;
+                await this._callAroundMiddlewares(ctx, async () => {
+                    for (let attempt = 0; ; attempt += 1) {
+                        try {
+                            const batching = this[p].batch && isFunction(transport.callBatch);
+                            ctx.result = await (batching ? this._callBatched(ctx) : transport.call(ctx));
+                            return;
+                        } catch (err) {
+                            const unreachable = !err.code || err.noNetToServer;
+                            if (unreachable && attempt < this[p].retries) {
+                                await new Promise((resolve) => setTimeout(resolve, this[p].retryDelay));
+                                continue;
+                            }
 
-                    let { code, message } = err;
-                    if (!err.code || err.noNetToServer) {
-                        code = "ALLSERVER_CLIENT_PROCEDURE_UNREACHABLE";
-                        message = `Couldn't reach remote procedure: ${ctx.procedureName}`;
+                            this._emitCallEvent(ctx, "procedure:error", { error: err });
+                            if (!this[p].neverThrow) throw err;
+
+                            let { code, message } = err;
+                            if (unreachable) {
+                                code = "ALLSERVER_CLIENT_PROCEDURE_UNREACHABLE";
+                                message = `Couldn't reach remote procedure: ${ctx.procedureName}`;
+                            }
+                            ctx.result = { success: false, code, message, error: err };
+                            return;
+                        }
                     }
-                    ctx.result = { success: false, code, message, error: err };
-                }
+                });
             }
 
             await this._callMiddlewares(ctx, "after");
 
+            // Error messages and details might contain the arg values.
+            if (ctx.result && !ctx.result.success) ctx.result = ctx.redacted(ctx.result);
+            if (ctx.result && ctx.result.deprecated) this._warnDeprecated(ctx);
+
+            const result = ctx.result || {};
+            const duration = Date.now() - startedAt;
+            this._emitCallEvent(ctx, "call:end", { code: result.code, success: Boolean(result.success), duration });
             return ctx.result;
         },
+
+        _warnDeprecated(ctx) {
+            const name = ctx.procedureVersion ? `${ctx.procedureName}@${ctx.procedureVersion}` : ctx.procedureName;
+            if (this[p].warnedDeprecations.has(name)) return;
+            this[p].warnedDeprecations.add(name);
+            this[p].logger.warn("ALLSERVER_CLIENT_DEPRECATED_PROCEDURE", `${name}: ${ctx.result.deprecated}`);
+        },
+
+        _emitCallEvent(ctx, eventName, event) {
+            // The introspection calls have their own event.
+            if (ctx.isIntrospection) return;
+            const { uri } = this[p].transport;
+            this[p].events.emit(eventName, {
+                procedureName: ctx.procedureName,
+                uri,
+                requestId: ctx.requestId,
+                ...event,
+            });
+        },
+
+        /**
+         * Subscribes to the "call:start", "call:end", "procedure:error", "middleware:error", "introspection" events.
+         * The listeners receive a frozen event object. Their errors are logged, not thrown.
+         */
+        on(eventName, listener) {
+            this[p].events.on(eventName, listener);
+            return this;
+        },
+
+        /**
+         * Without the listener unsubscribes all the listeners of the event.
+         */
+        off(eventName, listener) {
+            this[p].events.off(eventName, listener);
+            return this;
+        },
+
+        once(eventName, listener) {
+            this[p].events.once(eventName, listener);
+            return this;
+        },
     },
 
     composers({ stamp }) {
@@ -309,9 +542,18 @@ module.exports = require("stampit")({
             nameMapper,
             before,
             after,
+            around,
+            retries,
+            retryDelay,
+            idempotencyKeys,
+            redact,
+            batch,
+            logger,
+            versions,
         } = {}) {
             if (before) before = [].concat(before);
             if (after) after = [].concat(after);
+            if (around) around = [].concat(around);
             return this.deepProps({
                 [p]: {
                     transport,
@@ -322,6 +564,14 @@ module.exports = require("stampit")({
                     nameMapper,
                     before,
                     after,
+                    around,
+                    retries,
+                    retryDelay,
+                    idempotencyKeys,
+                    redact,
+                    batch,
+                    logger,
+                    versions,
                 },
             });
         },
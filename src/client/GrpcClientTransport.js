@@ -1,4 +1,5 @@
-const { isFunction } = require("../util");
+const { isFunction, isObject, normaliseGrpcServiceName } = require("../util");
+const { getTraceHeaders } = require("../tracing");
 
 module.exports = require("./ClientTransport").compose({
     name: "GrpcClientTransport",
@@ -8,12 +9,15 @@ module.exports = require("./ClientTransport").compose({
         _grpc: require("@grpc/grpc-js"),
         _protoLoader: require("@grpc/proto-loader"),
         _grpcClientForIntrospection: null,
-        _grpcClient: null,
+        _grpcClients: null,
         _credentials: null,
+        // Sent with every call. E.g. `{ authorization: "Bearer my-token" }`.
+        metadata: {},
     },
 
-    init({ protoFile, credentials }) {
+    init({ protoFile, credentials, metadata }) {
         this._credentials = credentials || this._credentials || this._grpc.credentials.createInsecure();
+        if (isObject(metadata)) this.metadata = Object.assign({}, this.metadata, metadata);
         this._createIntrospectionClient();
         if (protoFile) {
             this._createMainClient(protoFile);
@@ -32,22 +36,49 @@ module.exports = require("./ClientTransport").compose({
         _createMainClient(protoFile) {
             const pd = this._grpc.loadPackageDefinition(this._protoLoader.loadSync(protoFile));
 
-            const Ctor = Object.entries(this._grpc.loadPackageDefinition(pd)).find(
-                ([k, v]) => isFunction(v) && k !== "Allserver"
-            )[1];
-            if (this._grpcClient) this._grpcClient.close();
-            this._grpcClient = this._createClientFromCtor(Ctor && Ctor.service);
+            if (this._grpcClients) for (const client of Object.values(this._grpcClients)) client.close();
+            // One client per service. The "Users" service serves the "users/*" procedures.
+            this._grpcClients = {};
+            for (const [serviceName, Ctor] of Object.entries(pd)) {
+                if (!isFunction(Ctor) || serviceName === "Allserver") continue;
+                this._grpcClients[normaliseGrpcServiceName(serviceName)] = this._createClientFromCtor(Ctor);
+            }
+        },
+
+        _findGrpcMethod(procedureName) {
+            const index = procedureName.lastIndexOf("/");
+            const methodName = procedureName.substr(index + 1);
+            if (index >= 0) {
+                const client = this._grpcClients[normaliseGrpcServiceName(procedureName.substr(0, index))];
+                return client && isFunction(client[methodName]) ? { client, methodName } : null;
+            }
+
+            const client = Object.values(this._grpcClients).find((c) => isFunction(c[methodName]));
+            return client ? { client, methodName } : null;
+        },
+
+        _createMetadata(ctx) {
+            const metadata = new this._grpc.Metadata();
+            const values = (ctx && ctx.grpc && ctx.grpc.metadata) || this.metadata || {};
+            for (const [key, value] of Object.entries(values)) metadata.set(key, value);
+            if (ctx && ctx.idempotencyKey) metadata.set("idempotency-key", ctx.idempotencyKey);
+            if (ctx && ctx.requestId) metadata.set("x-request-id", ctx.requestId);
+            if (ctx && ctx.procedureVersion) metadata.set("x-procedure-version", ctx.procedureVersion);
+            if (ctx && ctx.trace) {
+                for (const [key, value] of Object.entries(getTraceHeaders(ctx.trace))) metadata.set(key, value);
+            }
+            return metadata;
         },
 
         _createClientFromCtor(Ctor) {
             return new Ctor(this.uri.substr(7), this._credentials);
         },
 
-        async introspect(/* ctx */) {
+        async introspect(ctx) {
             let result;
             try {
                 result = await new Promise((resolve, reject) =>
-                    this._grpcClientForIntrospection.introspect({}, (err, result) =>
+                    this._grpcClientForIntrospection.introspect({}, this._createMetadata(ctx), (err, result) =>
                         err ? reject(err) : resolve(result)
                     )
                 );
@@ -78,26 +109,48 @@ module.exports = require("./ClientTransport").compose({
             return result;
         },
 
-        async call({ procedureName = "", arg }) {
-            if (!this._grpcClient) {
+        async call(ctx) {
+            const { procedureName = "", arg } = ctx;
+            if (!this._grpcClients) {
                 const error = new Error("gRPC client was not yet initialised");
                 error.code = "ALLSERVER_GRPC_PROTO_MISSING";
                 throw error;
             }
 
-            if (!this._grpcClient[procedureName]) {
+            const found = this._findGrpcMethod(procedureName);
+            if (!found) {
                 const error = new Error(`Procedure '${procedureName}' not found`);
                 error.code = "ALLSERVER_PROCEDURE_NOT_FOUND";
                 throw error;
             }
 
+            const { client, methodName } = found;
             return new Promise((resolve, reject) =>
-                this._grpcClient[procedureName](arg || {}, (err, result) => (err ? reject(err) : resolve(result)))
+                client[methodName](arg || {}, this._createMetadata(ctx), (err, result) =>
+                    err ? reject(this._parseGrpcError(err)) : resolve(result)
+                )
             );
         },
 
+        _parseGrpcError(err) {
+            // The server passes the Allserver result along with the non-OK status. Same as the HTTP non-2xx replies.
+            const values = err.metadata ? err.metadata.get("allserver-result-bin") : [];
+            if (!values.length) return err;
+
+            let json;
+            try {
+                json = JSON.parse(values[0].toString());
+            } catch (e) {
+                return err;
+            }
+            const error = new Error((json && json.message) || err.details);
+            if (json && json.code) error.code = json.code;
+            error.status = err.code;
+            return error;
+        },
+
         createCallContext(defaultCtx) {
-            return { ...defaultCtx, grpc: {} };
+            return { ...defaultCtx, grpc: { metadata: { ...this.metadata } } };
         },
     },
 });
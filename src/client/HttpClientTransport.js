@@ -1,4 +1,6 @@
 const { isString, isObject } = require("../util");
+const { getTraceHeaders } = require("../tracing");
+const { json, extendedJson, findCodec } = require("../codecs");
 
 module.exports = require("./ClientTransport").compose({
     name: "HttpClientTransport",
@@ -7,12 +9,17 @@ module.exports = require("./ClientTransport").compose({
         // eslint-disable-next-line no-undef
         fetch: (typeof self !== "undefined" && self.fetch) || require("node-fetch"),
         headers: {},
+        // Encodes the arguments. By default, the plain JSON until the server replies the extended JSON.
+        // The replies are decoded according to their content type.
+        codec: null,
+        _negotiatedCodec: null,
     },
 
-    init({ headers, fetch }) {
+    init({ headers, fetch, codec }) {
         if (!this.uri.endsWith("/")) this.uri += "/";
         if (isObject(headers)) this.headers = Object.assign(this.headers || {}, headers);
         this.fetch = fetch || this.fetch;
+        this.codec = codec || this.codec;
     },
 
     methods: {
@@ -21,11 +28,38 @@ module.exports = require("./ClientTransport").compose({
             return this.call(ctx);
         },
 
-        async call({ procedureName, http }) {
+        _getCodec() {
+            return this.codec || this._negotiatedCodec || json;
+        },
+
+        _getAcceptHeader() {
+            const codec = this.codec || extendedJson;
+            // Older servers reply the plain JSON regardless.
+            return codec === json ? json.contentType : `${codec.contentType}, ${json.contentType};q=0.9`;
+        },
+
+        // The headers specific to this very call.
+        _getCallHeaders({ idempotencyKey, trace, requestId, procedureVersion }) {
+            const headers = {};
+            if (idempotencyKey) headers["idempotency-key"] = idempotencyKey;
+            if (trace) Object.assign(headers, getTraceHeaders(trace));
+            if (requestId) headers["x-request-id"] = requestId;
+            if (procedureVersion) headers["x-procedure-version"] = procedureVersion;
+            return headers;
+        },
+
+        async call(ctx) {
+            const { procedureName, http } = ctx;
             let response;
 
             try {
-                if (http && http.body !== undefined && !isString(http.body)) http.body = JSON.stringify(http.body);
+                if (http) http.headers = { ...http.headers, ...this._getCallHeaders(ctx) };
+                if (http && http.body !== undefined && !isString(http.body)) {
+                    const codec = this._getCodec();
+                    http.body = codec.encode(http.body);
+                    // Older servers parse any body as JSON. No content type is the plain JSON too.
+                    if (codec !== json) http.headers = { "content-type": codec.contentType, ...http.headers };
+                }
                 response = await this.fetch(this.uri + procedureName, http);
                 http.response = response;
             } catch (err) {
@@ -61,20 +95,41 @@ module.exports = require("./ClientTransport").compose({
             // Response is 200 OK
 
             try {
-                return await response.json();
+                const codec = findCodec(response.headers && response.headers.get("content-type"));
+                // The server understands the extended JSON. Sending the arguments in it from now on.
+                if (codec === extendedJson && !this.codec) this._negotiatedCodec = codec;
+                return codec === json ? await response.json() : codec.decode(await response.text());
             } catch (err) {
                 err.code = "ALLSERVER_RPC_RESPONSE_IS_NOT_JSON";
                 throw err;
             }
         },
 
+        /**
+         * Calls the server "batch" procedure.
+         * @return {Promise<Object[]>} The results in the same order
+         */
+        async callBatch(ctxs) {
+            const calls = ctxs.map((ctx) => ({
+                procedure: ctx.procedureName,
+                arg: ctx.http ? ctx.http.body : ctx.arg,
+                headers: { ...(ctx.http && ctx.http.headers), ...this._getCallHeaders(ctx) },
+            }));
+            const http = {
+                method: "POST",
+                body: { calls },
+                headers: { accept: this._getAcceptHeader(), ...this.headers },
+            };
+            return this.call({ procedureName: "batch", http });
+        },
+
         createCallContext(defaultCtx) {
             return {
                 ...defaultCtx,
                 http: {
                     method: "POST",
                     body: defaultCtx.arg,
-                    headers: { ...this.headers },
+                    headers: { accept: this._getAcceptHeader(), ...this.headers },
                 },
             };
         },
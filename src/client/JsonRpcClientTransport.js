@@ -0,0 +1,139 @@
+const { isObject } = require("../util");
+const { getTraceHeaders } = require("../tracing");
+
+// "jsonrpc://host:port/path" - over HTTP. "jsonrpc+tcp://host:port" - the newline delimited messages over raw TCP.
+module.exports = require("./ClientTransport").compose({
+    name: "JsonRpcClientTransport",
+
+    props: {
+        // eslint-disable-next-line no-undef
+        fetch: (typeof self !== "undefined" && self.fetch) || require("node-fetch"),
+        _net: require("net"),
+        // Sent with every HTTP call. The raw sockets have no headers.
+        headers: {},
+        _lastId: 0,
+        _socket: null,
+        _pending: null,
+    },
+
+    init({ headers, fetch }) {
+        if (isObject(headers)) this.headers = Object.assign({}, this.headers, headers);
+        this.fetch = fetch || this.fetch;
+        this._pending = new Map();
+    },
+
+    methods: {
+        _isTcp() {
+            return this.uri.toLowerCase().startsWith("jsonrpc+tcp://");
+        },
+
+        async _sendHttp(request, ctx) {
+            let response;
+            try {
+                response = await this.fetch(this.uri.replace(/^jsonrpc:/i, "http:"), {
+                    method: "POST",
+                    headers: { ...ctx.jsonrpc.headers, "content-type": "application/json" },
+                    body: JSON.stringify(request),
+                });
+            } catch (err) {
+                if (err.code === "ECONNREFUSED") err.noNetToServer = true;
+                throw err;
+            }
+
+            if (!response.ok) {
+                const error = new Error(`Unexpected HTTP status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        },
+
+        _connect() {
+            if (this._socket) return this._socket;
+
+            const { hostname, port } = new URL(this.uri.replace(/^jsonrpc\+tcp:/i, "http:"));
+            const socket = this._net.connect(Number(port), hostname);
+            this._socket = socket;
+            let buffer = "";
+            socket.setEncoding("utf8");
+            socket.on("data", (data) => {
+                const lines = (buffer + data).split("\n");
+                buffer = lines.pop();
+                for (const line of lines) {
+                    let response;
+                    try {
+                        response = JSON.parse(line);
+                    } catch (err) {
+                        continue;
+                    }
+                    const pending = this._pending.get(response.id);
+                    if (!pending) continue;
+                    this._pending.delete(response.id);
+                    // Idle connections do not prevent the process from exiting.
+                    if (!this._pending.size) socket.unref();
+                    pending.resolve(response);
+                }
+            });
+            const fail = (err) => {
+                if (this._socket === socket) this._socket = null;
+                if (err && err.code === "ECONNREFUSED") err.noNetToServer = true;
+                for (const pending of this._pending.values()) pending.reject(err || new Error("Connection closed"));
+                this._pending.clear();
+            };
+            socket.on("error", fail);
+            socket.on("close", () => fail());
+            return socket;
+        },
+
+        _sendTcp(request) {
+            return new Promise((resolve, reject) => {
+                this._pending.set(request.id, { resolve, reject });
+                const socket = this._connect();
+                socket.ref();
+                socket.write(JSON.stringify(request) + "\n");
+            });
+        },
+
+        async _send(method, params, ctx) {
+            this._lastId += 1;
+            const request = { jsonrpc: "2.0", id: this._lastId, method, params };
+            const response = this._isTcp() ? await this._sendTcp(request) : await this._sendHttp(request, ctx);
+
+            if (response.error) {
+                // The Allserver puts the original reply to the error data.
+                const data = isObject(response.error.data) ? response.error.data : {};
+                const error = new Error(data.message || response.error.message);
+                error.code = data.code || "ALLSERVER_CLIENT_JSONRPC_ERROR";
+                error.jsonrpcCode = response.error.code;
+                throw error;
+            }
+            return response.result;
+        },
+
+        async introspect(ctx) {
+            return this._send("introspect", {}, ctx);
+        },
+
+        async call(ctx) {
+            const jsonrpc = ctx.jsonrpc;
+            if (ctx.idempotencyKey) jsonrpc.headers["idempotency-key"] = ctx.idempotencyKey;
+            if (ctx.trace) Object.assign(jsonrpc.headers, getTraceHeaders(ctx.trace));
+            if (ctx.requestId) jsonrpc.headers["x-request-id"] = ctx.requestId;
+            // The raw sockets have no headers. Passing the version via the method name.
+            if (ctx.procedureVersion) {
+                if (this._isTcp()) return this._send(`${ctx.procedureName}@${ctx.procedureVersion}`, ctx.arg, ctx);
+                jsonrpc.headers["x-procedure-version"] = ctx.procedureVersion;
+            }
+            return this._send(ctx.procedureName, ctx.arg, ctx);
+        },
+
+        close() {
+            if (this._socket) this._socket.end();
+            this._socket = null;
+        },
+
+        createCallContext(defaultCtx) {
+            return { ...defaultCtx, jsonrpc: { headers: { ...this.headers } } };
+        },
+    },
+});
@@ -0,0 +1,136 @@
+const { isFunction, isString, isPlainObject } = require("./util");
+
+const hasBuffer = typeof Buffer !== "undefined";
+
+function toBase64(bytes) {
+    if (hasBuffer) return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64");
+    return btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(""));
+}
+
+function fromBase64(str) {
+    if (hasBuffer) return Buffer.from(str, "base64");
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+// A plain object with a single key looking like a tag, e.g. `{ $date: "" }`, is escaped as `{ $escaped: { $date: "" } }`.
+const TAGS = ["$date", "$bigint", "$bytes", "$map", "$set", "$undefined", "$escaped"];
+
+function toTagged(value) {
+    if (value === undefined) return { $undefined: true };
+    if (typeof value === "bigint") return { $bigint: value.toString() };
+    if (!value || typeof value !== "object") return value;
+    if (value instanceof Date) return { $date: isNaN(value) ? null : value.toISOString() };
+    // Buffers are Uint8Arrays too.
+    if (value instanceof Uint8Array) return { $bytes: toBase64(value) };
+    if (value instanceof Map) return { $map: Array.from(value, ([k, v]) => [toTagged(k), toTagged(v)]) };
+    if (value instanceof Set) return { $set: Array.from(value, toTagged) };
+    if (Array.isArray(value)) return value.map(toTagged);
+    if (!isPlainObject(value) && isFunction(value.toJSON)) return toTagged(value.toJSON());
+
+    const copy = {};
+    for (const [k, v] of Object.entries(value)) copy[k] = toTagged(v);
+    const keys = Object.keys(copy);
+    return keys.length === 1 && TAGS.includes(keys[0]) ? { $escaped: copy } : copy;
+}
+
+function fromTagged(value) {
+    if (Array.isArray(value)) return value.map(fromTagged);
+    if (!isPlainObject(value)) return value;
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && TAGS.includes(keys[0])) {
+        const tagged = value[keys[0]];
+        switch (keys[0]) {
+            case "$date":
+                return new Date(tagged === null ? NaN : tagged);
+            case "$bigint":
+                // eslint-disable-next-line no-undef
+                return BigInt(tagged);
+            case "$bytes":
+                return fromBase64(tagged);
+            case "$map":
+                return new Map(tagged.map(([k, v]) => [fromTagged(k), fromTagged(v)]));
+            case "$set":
+                return new Set(tagged.map(fromTagged));
+            case "$undefined":
+                return undefined;
+            default:
+                value = tagged;
+        }
+    }
+
+    const copy = {};
+    for (const [k, v] of Object.entries(value)) {
+        // Not letting the "__proto__" key change the object prototype.
+        Object.defineProperty(copy, k, { value: fromTagged(v), enumerable: true, writable: true, configurable: true });
+    }
+    return copy;
+}
+
+const json = {
+    contentType: "application/json",
+    // BigInts are sent as strings instead of throwing.
+    encode: (value) => JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)),
+    decode: (text) => JSON.parse(text),
+};
+
+// Round-trips Date, BigInt, Buffer/Uint8Array, Map, Set and undefined.
+const extendedJson = {
+    contentType: "application/vnd.allserver+json",
+    encode: (value) => JSON.stringify(toTagged(value)),
+    decode: (text) => fromTagged(JSON.parse(text)),
+};
+
+const codecs = [extendedJson, json];
+
+const getMediaType = (header) => header.split(";")[0].trim().toLowerCase();
+
+module.exports = {
+    json,
+    extendedJson,
+
+    /**
+     * Adds a codec, or replaces the one with the same content type. Used by both the server and client transports.
+     * @param codec {{contentType: String, encode: function(*): String, decode: function(String): *}}
+     */
+    registerCodec(codec) {
+        if (!codec || !isString(codec.contentType) || !isFunction(codec.encode) || !isFunction(codec.decode)) {
+            throw new Error("Codec must have the 'contentType' string, the 'encode' and 'decode' functions");
+        }
+        const contentType = getMediaType(codec.contentType);
+        const index = codecs.findIndex((c) => getMediaType(c.contentType) === contentType);
+        if (index >= 0) codecs.splice(index, 1);
+        codecs.unshift(codec);
+    },
+
+    /**
+     * @param [contentType] {String} The "content-type" header value
+     * @return {Object} The codec, or the plain JSON one if the content type is unknown
+     */
+    findCodec(contentType) {
+        if (!isString(contentType)) return json;
+        const mediaType = getMediaType(contentType);
+        return codecs.find((c) => getMediaType(c.contentType) === mediaType) || json;
+    },
+
+    /**
+     * @param [accept] {String} The "accept" header value. E.g. "application/vnd.allserver+json, application/json;q=0.9"
+     * @return {Object} The most preferred known codec, or the plain JSON one
+     */
+    negotiateCodec(accept) {
+        if (!isString(accept)) return json;
+        const accepted = accept
+            .split(",")
+            .map((part, index) => {
+                const q = /;\s*q=([\d.]+)/.exec(part);
+                return { mediaType: getMediaType(part), q: q ? Number(q[1]) : 1, index };
+            })
+            .filter(({ q }) => q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index);
+        for (const { mediaType } of accepted) {
+            const codec = codecs.find((c) => getMediaType(c.contentType) === mediaType);
+            if (codec) return codec;
+        }
+        return json;
+    },
+};
@@ -0,0 +1,10 @@
+// The Allserver call being handled. The AllserverClient calls made by its procedure continue its trace and request ID.
+// Node.js >= 12.17. The current call is unknown on older versions.
+const asyncHooks = require("async_hooks");
+const storage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+
+module.exports = {
+    getCurrentCall: () => (storage ? storage.getStore() : undefined),
+
+    runWithCall: (ctx, fn) => (storage ? storage.run(ctx, fn) : fn()),
+};
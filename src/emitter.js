@@ -0,0 +1,52 @@
+const { isFunction } = require("./util");
+
+/**
+ * Creates a minimal event emitter. The listeners are isolated. A throwing (or rejecting) listener never breaks the
+ * emitting code, the error goes to the `onError(err, eventName)` callback instead.
+ * @param onError {Function}
+ */
+module.exports = function createEmitter(onError) {
+    const listeners = {};
+
+    return {
+        on(eventName, listener) {
+            if (!isFunction(listener)) throw new Error("Event listener must be a function");
+            listeners[eventName] = (listeners[eventName] || []).concat(listener);
+        },
+
+        off(eventName, listener) {
+            if (!listeners[eventName]) return;
+            // Without the listener removes all the listeners of the event.
+            listeners[eventName] = listener ? listeners[eventName].filter((l) => l !== listener) : [];
+        },
+
+        once(eventName, listener) {
+            const wrapper = (event) => {
+                this.off(eventName, wrapper);
+                return listener(event);
+            };
+            this.on(eventName, wrapper);
+        },
+
+        /**
+         * @param eventName {String}
+         * @param event {Object} Frozen before passing to the listeners. They can't change the calls.
+         * @return {Boolean} `true` if there were listeners
+         */
+        emit(eventName, event) {
+            const list = listeners[eventName];
+            if (!list || !list.length) return false;
+
+            Object.freeze(event);
+            for (const listener of list) {
+                try {
+                    const promise = listener(event);
+                    if (promise && isFunction(promise.then)) promise.then(null, (err) => onError(err, eventName));
+                } catch (err) {
+                    onError(err, eventName);
+                }
+            }
+            return true;
+        },
+    };
+};
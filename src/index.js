@@ -14,6 +14,39 @@ module.exports = {
     get GrpcTransport() {
         return require("./server/GrpcTransport");
     },
+    get JsonRpcTransport() {
+        return require("./server/JsonRpcTransport");
+    },
+    get RateLimiter() {
+        return require("./server/RateLimiter");
+    },
+    get ConcurrencyLimiter() {
+        return require("./server/ConcurrencyLimiter");
+    },
+    get Metrics() {
+        return require("./server/Metrics");
+    },
+    get Health() {
+        return require("./server/Health");
+    },
+    get InMemorySpanExporter() {
+        return require("./server/InMemorySpanExporter");
+    },
+    get OpenTelemetrySpanExporter() {
+        return require("./server/OpenTelemetrySpanExporter");
+    },
+    get MemoryStore() {
+        return require("./server/MemoryStore");
+    },
+    get AllserverError() {
+        return require("./server/AllserverError");
+    },
+
+    // shared
+
+    get codecs() {
+        return require("./codecs");
+    },
 
     // client
 
@@ -26,4 +59,7 @@ module.exports = {
     get HttpClientTransport() {
         return require("./client/HttpClientTransport");
     },
+    get JsonRpcClientTransport() {
+        return require("./client/JsonRpcClientTransport");
+    },
 };
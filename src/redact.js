@@ -0,0 +1,59 @@
+const { isString, isPlainObject } = require("./util");
+
+const splitPath = (path) => path.split(".");
+const pathMatches = (rule, path) => rule.length === path.length && rule.every((s, i) => s === "*" || s === path[i]);
+
+/**
+ * Creates the `redact(value, extraPaths)` function. It returns a deep copy of the value with the sensitive data censored.
+ * @param [paths] {String[]} Dot separated paths from the root. `*` matches any key. E.g. `["password", "cards.*.number"]`
+ * @param [keys] {RegExp[]} Property names to censor at any depth. E.g. `[/secret/i, /token/i]`
+ * @param [values] {RegExp[]} Parts of strings to censor. E.g. card numbers `[/\b\d{13,19}\b/]`
+ * @param [censor] {String} The replacement
+ */
+module.exports = function createRedactor({ paths = [], keys = [], values = [], censor = "[REDACTED]" } = {}) {
+    const pathRules = paths.map(splitPath);
+    const valueRules = values.map((re) => (re.global ? re : new RegExp(re.source, re.flags + "g")));
+
+    function redactString(str) {
+        return valueRules.reduce((s, re) => s.replace(re, censor), str);
+    }
+
+    function walk(value, path, rules, seen) {
+        if (isString(value)) return redactString(value);
+        if (!value || typeof value !== "object") return value;
+
+        const isError = value instanceof Error;
+        // Dates, Buffers, class instances, etc. are left as is.
+        if (!isError && !Array.isArray(value) && !isPlainObject(value)) return value;
+        if (seen.has(value)) return "[Circular]";
+        seen.add(value);
+
+        const child = (key) => {
+            const childPath = path.concat(key);
+            const sensitive = rules.some((r) => pathMatches(r, childPath)) || keys.some((re) => re.test(key));
+            return sensitive && value[key] !== undefined ? censor : walk(value[key], childPath, rules, seen);
+        };
+
+        let copy;
+        if (Array.isArray(value)) {
+            copy = value.map((v, i) => child(String(i)));
+        } else if (isError) {
+            // Keeping the prototype, the stack and the non-enumerable `message`.
+            copy = Object.create(Object.getPrototypeOf(value));
+            for (const key of Object.getOwnPropertyNames(value)) copy[key] = child(key);
+        } else {
+            copy = {};
+            for (const key of Object.keys(value)) copy[key] = child(key);
+        }
+
+        seen.delete(value);
+        return copy;
+    }
+
+    return function redact(value, extraPaths) {
+        const rules = extraPaths && extraPaths.length ? pathRules.concat(extraPaths.map(splitPath)) : pathRules;
+        // Nothing to redact. Not copying.
+        if (!rules.length && !keys.length && !valueRules.length) return value;
+        return walk(value, [], rules, new Set());
+    };
+};
@@ -1,6 +1,74 @@
 const assert = require("assert");
 
-const { isObject, isBoolean, isFunction } = require("../util");
+const {
+    isObject,
+    isBoolean,
+    isFunction,
+    isPlainObject,
+    isString,
+    isNumber,
+    isMiddlewareApplicable,
+    stableStringify,
+    splitProcedureVersion,
+    compareVersions,
+    createId,
+    createAbortController,
+} = require("../util");
+const validate = require("./validate");
+const AllserverError = require("./AllserverError");
+const parseCredentials = require("./parseCredentials");
+const RateLimiter = require("./RateLimiter");
+const ConcurrencyLimiter = require("./ConcurrencyLimiter");
+const Metrics = require("./Metrics");
+const Health = require("./Health");
+const BatchTransport = require("./BatchTransport");
+const { parseTraceparent, createTraceId, createSpanId } = require("../tracing");
+const { runWithCall } = require("../currentCall");
+const createRedactor = require("../redact");
+const createEmitter = require("../emitter");
+
+// Optional metadata a procedure function can carry as its own properties.
+const procedureMetaCheckers = {
+    description: [isString, "a string"],
+    argSchema: [isPlainObject, "an object"],
+    resultSchema: [isPlainObject, "an object"],
+    errors: [Array.isArray, "an array"],
+    tags: [(v) => Array.isArray(v) && v.every(isString), "an array of strings"],
+    deprecated: [(v) => isBoolean(v) || isString(v), "a boolean or a string"],
+    timeout: [(v) => isNumber(v) && v > 0, "a positive number"],
+    // Any of the roles is enough. All the scopes are required.
+    roles: [(v) => Array.isArray(v) && v.every(isString), "an array of strings"],
+    scopes: [(v) => Array.isArray(v) && v.every(isString), "an array of strings"],
+    // The RateLimiter options overriding the server-wide ones, or `false` to not limit the procedure.
+    rateLimit: [(v) => v === false || isPlainObject(v), "false or an object"],
+    // The `{ limit, queueSize }` ConcurrencyLimiter options.
+    concurrency: [isPlainObject, "an object"],
+    // The `{ ttl, key }` result caching options. The `key(arg, ctx)` function is optional.
+    cache: [
+        (v) => isPlainObject(v) && isNumber(v.ttl) && v.ttl > 0 && (v.key == null || isFunction(v.key)),
+        "an object with a positive 'ttl' number and an optional 'key' function",
+    ],
+    // `true`, or the `{ ttl, argField }` options. Repeated calls with the same idempotency key replay the first reply.
+    idempotent: [(v) => isBoolean(v) || isPlainObject(v), "a boolean or an object"],
+    // The arg and result field paths to censor in logs, error replies and traces. E.g. `["password", "card.number"]`
+    // Never introspected. The paths would tell the callers where the secrets are.
+    sensitive: [(v) => Array.isArray(v) && v.every(isString), "an array of strings"],
+};
+
+// The procedure metadata returned via introspection. The rest of it is the server settings, not for the callers' eyes.
+const publicProcedureMeta = ["description", "argSchema", "resultSchema", "errors", "tags", "deprecated"];
+
+const defaultStatusCodes = {
+    // Node's `assert` throws these. Most likely the procedure validates its arguments this way.
+    ERR_ASSERTION: { http: 400 },
+    ALLSERVER_UNAUTHENTICATED: { http: 401 },
+    ALLSERVER_FORBIDDEN: { http: 403 },
+    ALLSERVER_IDEMPOTENCY_CONFLICT: { http: 409 },
+    // The credentials verifier crashed. E.g. the database is down.
+    ALLSERVER_AUTH_ERROR: { http: 500, grpc: 13 },
+};
+
+const TIMED_OUT = Symbol("timed out");
 
 module.exports = require("stampit")({
     name: "Allserver",
@@ -8,46 +76,350 @@ module.exports = require("stampit")({
     props: {
         procedures: {},
         transport: null,
+        transports: null,
         logger: console,
         introspection: true,
         before: null,
         after: null,
+        // Koa-style `async (ctx, next) => {}` middlewares wrapping the procedure call.
+        around: null,
+        // How long `stop()` waits for the in-flight calls to finish before force closing the transports. Milliseconds.
+        shutdownTimeout: 10000,
+        // Max duration of a procedure call. Milliseconds. Procedures can override it with their own `timeout` property.
+        callTimeout: null,
+        // Process signals to gracefully stop the server on. E.g. `["SIGTERM", "SIGINT"]`, or `true` for these two.
+        shutdownSignals: null,
+        // Result `code` to protocol statuses mapping. E.g. `{ USER_NOT_FOUND: { http: 404, grpc: 5 } }`.
+        statusCodes: {},
+        // The `{ bearer, basic, apiKey }` credentials verifiers returning the principal. See README.
+        auth: null,
+        // A RateLimiter, or its options. Limits calls per procedure per caller.
+        rateLimit: null,
+        // A ConcurrencyLimiter, or its `{ limit, queueSize }` options. Limits calls running at the same time.
+        concurrency: null,
+        // Where the `cache`-enabled procedure results are stored. Anything with the async `get`, `set`, `delete` methods.
+        cacheStore: null,
+        // Where the `idempotent` procedure replies are stored. Anything with the async `get`, `set`, `delete` methods.
+        idempotencyStore: null,
+        // A Metrics object, its options, or `true`. Prometheus-compatible call metrics.
+        metrics: null,
+        // A Health object, its options, or `true`. The liveness and readiness checks served by the transports.
+        health: null,
+        // `true`, or `{ maxSize }`. Serves the "batch" procedure running many calls in one request.
+        batch: null,
+        // `true`, or `{ exporter }`. W3C Trace Context propagation. The exporter receives the finished spans.
+        tracing: null,
+        // The incoming request ID header (or gRPC metadata) name. The ID is generated if missing.
+        requestIdHeader: "x-request-id",
+        // `true` logs one `logger.info("ALLSERVER_ACCESS", entry)` line per call. Or your own `(entry, ctx) => {}` function.
+        accessLog: false,
+        // The `{ paths, keys, values, censor }` redaction rules applied to all procedures.
+        redact: null,
+        // The header (or gRPC metadata) picking the version of the "getUser@1", "getUser@2" procedures.
+        versionHeader: "x-procedure-version",
+        // The argument field picking the procedure version. Removed from the argument of the versioned procedures only.
+        versionArg: "_version",
+
+        // Changes whenever the procedures change. Returned via introspection for the clients to notice the change.
+        proceduresVersion: null,
 
         callsCount: 0,
+        inFlightCalls: 0,
+        isShuttingDown: false,
     },
 
-    init({ procedures, transport, introspection, before, after, logger }) {
+    init({
+        procedures,
+        transport,
+        transports,
+        introspection,
+        before,
+        after,
+        around,
+        logger,
+        shutdownTimeout,
+        shutdownSignals,
+        callTimeout,
+        statusCodes,
+        auth,
+        rateLimit,
+        concurrency,
+        cacheStore,
+        idempotencyStore,
+        metrics,
+        health,
+        batch,
+        tracing,
+        requestIdHeader,
+        accessLog,
+        redact,
+        versionHeader,
+        versionArg,
+    }) {
         this.procedures = procedures || this.procedures;
-        this.transport = transport || this.transport || require("./HttpTransport")();
+        if (transports || transport) this.transports = transports || [transport];
+        this.transport = transport || (transports && transports[0]) || this.transport;
+        if (!this.transports) this.transports = [this.transport || require("./HttpTransport")()];
+        // The first transport is the main one. Kept for backwards compatibility.
+        if (!this.transport) this.transport = this.transports[0];
         this.logger = logger || this.logger;
         this.introspection = introspection != null ? introspection : this.introspection;
         this.before = before || this.before;
         this.after = after || this.after;
+        this.around = around || this.around;
+        this.shutdownTimeout = shutdownTimeout != null ? shutdownTimeout : this.shutdownTimeout;
+        this.shutdownSignals = shutdownSignals != null ? shutdownSignals : this.shutdownSignals;
+        if (this.shutdownSignals === true) this.shutdownSignals = ["SIGTERM", "SIGINT"];
+        this.callTimeout = callTimeout != null ? callTimeout : this.callTimeout;
+        this.statusCodes = { ...defaultStatusCodes, ...this.statusCodes, ...statusCodes };
+        this.auth = auth || this.auth;
+        this.rateLimit = rateLimit || this.rateLimit;
+        // Stamp instances are plain objects too. Telling them apart by the methods.
+        if (this.rateLimit && !isFunction(this.rateLimit.consume)) this.rateLimit = RateLimiter(this.rateLimit);
+        this.concurrency = concurrency || this.concurrency;
+        if (this.concurrency && !isFunction(this.concurrency.acquire)) {
+            this.concurrency = ConcurrencyLimiter(this.concurrency);
+        }
+        this.cacheStore = cacheStore || this.cacheStore || require("./MemoryStore")({ maxSize: 1000 });
+        this.idempotencyStore = idempotencyStore || this.idempotencyStore || require("./MemoryStore")();
+        this.metrics = metrics || this.metrics;
+        if (this.metrics === true) this.metrics = Metrics();
+        else if (this.metrics && !isFunction(this.metrics.endCall)) this.metrics = Metrics(this.metrics);
+        this.health = health || this.health;
+        if (this.health === true) this.health = Health();
+        else if (this.health && !isFunction(this.health.addCheck)) this.health = Health(this.health);
+        this.batch = batch || this.batch;
+        if (this.batch) this.batch = { maxSize: 50, ...(this.batch === true ? {} : this.batch) };
+        this.tracing = tracing || this.tracing;
+        if (this.tracing === true) this.tracing = {};
+        this.requestIdHeader = (requestIdHeader || this.requestIdHeader || "").toLowerCase();
+        this.accessLog = accessLog || this.accessLog;
+        this.redact = redact || this.redact;
+        this._redact = createRedactor(this.redact || {});
+        this.versionHeader = versionHeader !== undefined ? versionHeader : this.versionHeader;
+        if (this.versionHeader) this.versionHeader = this.versionHeader.toLowerCase();
+        this.versionArg = versionArg !== undefined ? versionArg : this.versionArg;
+        this._events = createEmitter((err, eventName) =>
+            this.logger.error("ALLSERVER_EVENT_LISTENER_ERROR", err, { eventName })
+        );
+
+        this._drainListeners = [];
+        this._signalListeners = {};
+        // Procedure function -> its own ConcurrencyLimiter
+        this._concurrencyLimiters = new WeakMap();
+        // Cache key -> promise of the currently running call result
+        this._pendingCachedCalls = new Map();
+        // Idempotency keys of the calls running in this process
+        this._pendingIdempotentCalls = new Set();
+        // The deprecated procedures logged so far. Logging once per procedure.
+        this._loggedDeprecations = new Set();
 
         this._validateProcedures();
+        this._validateAuth();
+        this.proceduresVersion = this._getProceduresVersion();
     },
 
     methods: {
         _validateProcedures() {
             assert(isObject(this.procedures), "'procedures' must be an object");
-            assert(Object.values(this.procedures).every(isFunction), "All procedures must be functions");
+            const procedures = this.getProcedures();
+            assert(Object.values(procedures).every(isFunction), "All procedures must be functions");
+            for (const [name, procedure] of Object.entries(procedures)) {
+                for (const [prop, [isValid, what]] of Object.entries(procedureMetaCheckers)) {
+                    if (procedure[prop] == null) continue;
+                    assert(isValid(procedure[prop]), `'${name}' procedure '${prop}' must be ${what}`);
+                }
+                for (const middlewareType of ["before", "after", "around"]) {
+                    if (procedure[middlewareType] == null) continue;
+                    assert(
+                        [].concat(procedure[middlewareType]).every(isFunction),
+                        `'${name}' procedure '${middlewareType}' must be a function or an array of functions`
+                    );
+                }
+            }
+        },
+
+        _validateAuth() {
+            if (!this.auth) return;
+            assert(isPlainObject(this.auth), "'auth' must be an object");
+            assert(
+                ["bearer", "basic", "apiKey"].some((type) => isFunction(this.auth[type])),
+                "'auth' must have at least one of the 'bearer', 'basic', 'apiKey' functions"
+            );
+        },
+
+        /**
+         * Flattens the nested procedures (aka namespaces) to a single level object.
+         * E.g. `{ users: { create } }` becomes `{ "users/create": create }`.
+         * @return {Object<String, Function>}
+         */
+        getProcedures(procedures = this.procedures, prefix = "") {
+            const result = {};
+            for (const [name, value] of Object.entries(procedures)) {
+                if (isPlainObject(value)) Object.assign(result, this.getProcedures(value, prefix + name + "/"));
+                else result[prefix + name] = value;
+            }
+            return result;
+        },
+
+        _findProcedure(procedureName) {
+            // Hand-named procedures like "users/create" take precedence over the namespaces.
+            if (this.procedures[procedureName] !== undefined) return this.procedures[procedureName];
+
+            let value = this.procedures;
+            for (const name of procedureName.split("/")) {
+                if (!isPlainObject(value)) return undefined;
+                value = value[name];
+            }
+            return value;
+        },
+
+        /**
+         * Adds a procedure, or replaces the existing one. Works while the server is running.
+         * @param procedureName {String} E.g. "sayHello" or "users/create"
+         * @param procedure {Function}
+         */
+        addProcedure(procedureName, procedure) {
+            assert(isString(procedureName) && procedureName, "'procedureName' must be a non-empty string");
+            assert(isFunction(procedure), "'procedure' must be a function");
+
+            const setIn = (procedures, [name, ...rest]) => ({
+                ...procedures,
+                [name]: rest.length ? setIn(procedures[name], rest) : procedure,
+            });
+            this._setProcedures(setIn(this.procedures, this._getProcedurePath(procedureName)));
+        },
+
+        /**
+         * Removes a procedure. Works while the server is running.
+         * @param procedureName {String} E.g. "sayHello" or "users/create"
+         * @return {Boolean} `false` if there was no such procedure
+         */
+        removeProcedure(procedureName) {
+            if (!isFunction(this._findProcedure(procedureName))) return false;
+
+            const deleteIn = (procedures, [name, ...rest]) => {
+                const copy = { ...procedures };
+                if (rest.length) copy[name] = deleteIn(procedures[name], rest);
+                else delete copy[name];
+                return copy;
+            };
+            this._setProcedures(deleteIn(this.procedures, this._getProcedurePath(procedureName)));
+            return true;
+        },
+
+        _getProcedurePath(procedureName) {
+            // The existing namespaced procedures are changed in place. The new ones are added as hand-named.
+            const isNamespaced = !(procedureName in this.procedures) && isFunction(this._findProcedure(procedureName));
+            return isNamespaced ? procedureName.split("/") : [procedureName];
+        },
+
+        /**
+         * Replaces all the procedures at once. Works while the server is running.
+         * @param procedures {Object}
+         */
+        replaceProcedures(procedures) {
+            this._setProcedures(procedures);
+        },
+
+        _setProcedures(procedures) {
+            const previous = this.procedures;
+            this.procedures = procedures;
+            try {
+                this._validateProcedures();
+            } catch (err) {
+                this.procedures = previous;
+                throw err;
+            }
+
+            this.proceduresVersion = this._getProceduresVersion();
+            // E.g. the gRPC server registers a handler per procedure.
+            for (const transport of this.transports) transport.updateProcedures({ allserver: this, transport });
+        },
+
+        _getProceduresVersion() {
+            const { procedures, details } = this._describeProcedures();
+            const hash = require("crypto").createHash("sha1");
+            return hash.update(stableStringify({ procedures, details })).digest("hex").substr(0, 16);
+        },
+
+        _describeProcedures() {
+            const procedures = {};
+            const details = {};
+            for (const [key, value] of Object.entries(this.getProcedures())) {
+                procedures[key] = typeof value;
+                details[key] = this._getProcedureMeta(value);
+            }
+            return { procedures, details };
+        },
+
+        /**
+         * Finds the procedure to call. The version can be requested via the "getUser@2" name, the `versionHeader`,
+         * or the `versionArg`. Otherwise, it's the unversioned "getUser", or the latest non-deprecated version.
+         */
+        _resolveProcedure(ctx) {
+            let [name, version] = splitProcedureVersion(ctx.procedureName);
+            const latestVersion = this._getLatestVersion(name);
+
+            // The procedures without versions receive their argument as is, and ignore the version header.
+            const hasVersionArg = isPlainObject(ctx.arg) && this.versionArg && ctx.arg[this.versionArg] != null;
+            if (hasVersionArg && latestVersion !== undefined) {
+                if (version === undefined) version = String(ctx.arg[this.versionArg]);
+                ctx.arg = { ...ctx.arg };
+                delete ctx.arg[this.versionArg];
+            }
+            if (version === undefined && this.versionHeader && latestVersion !== undefined) {
+                const header = (ctx.transport.getHeaders(ctx) || {})[this.versionHeader];
+                if (isString(header) && header) version = header;
+            }
+            if (version === undefined && !isFunction(this._findProcedure(name))) version = latestVersion;
+
+            if (version !== undefined) {
+                ctx.procedureName = `${name}@${version}`;
+                ctx.procedureVersion = version;
+            }
+            ctx.procedure = this._findProcedure(ctx.procedureName);
+        },
+
+        _getLatestVersion(name) {
+            const versions = [];
+            for (const [procedureName, procedure] of Object.entries(this.getProcedures())) {
+                const [n, version] = splitProcedureVersion(procedureName);
+                if (n === name && version !== undefined) versions.push({ version, deprecated: procedure.deprecated });
+            }
+            versions.sort(
+                (a, b) => Boolean(a.deprecated) - Boolean(b.deprecated) || compareVersions(b.version, a.version)
+            );
+            return versions.length ? versions[0].version : undefined;
+        },
+
+        _getProcedureMeta(procedure) {
+            const meta = {};
+            for (const prop of publicProcedureMeta) {
+                if (procedure[prop] != null) meta[prop] = procedure[prop];
+            }
+            return meta;
         },
 
         async _introspect(ctx) {
             const allow = isFunction(this.introspection) ? this.introspection(ctx) : this.introspection;
             if (!allow) return;
 
-            const obj = {};
-            for (const [key, value] of Object.entries(this.procedures)) obj[key] = typeof value;
-            ctx.introspection = obj;
+            const { procedures, details } = this._describeProcedures();
+            ctx.introspection = procedures;
+            ctx.introspectionDetails = details;
+            this._events.emit("introspection", { ...this._getCallInfo(ctx), version: this.proceduresVersion });
 
             ctx.result = {
                 success: true,
                 code: "ALLSERVER_INTROSPECTION",
                 message: "Introspection as JSON string",
                 procedures: JSON.stringify(ctx.introspection),
+                // Kept separate from `procedures` to stay compatible with older clients.
+                details: JSON.stringify(ctx.introspectionDetails),
+                version: this.proceduresVersion,
             };
-            await this.transport.prepareIntrospectionReply(ctx);
+            await ctx.transport.prepareIntrospectionReply(ctx);
         },
 
         async _callProcedure(ctx) {
@@ -57,22 +429,93 @@ module.exports = require("stampit")({
                     code: "ALLSERVER_PROCEDURE_NOT_FOUND",
                     message: `Procedure '${ctx.procedureName}' not found`,
                 };
-                await this.transport.prepareNotFoundReply(ctx);
+                await ctx.transport.prepareNotFoundReply(ctx);
                 return;
             }
 
+            if (!(await this._validateArg(ctx))) return;
+
+            const execute = () => (ctx.procedure.cache ? this._callCached(ctx) : this._executeProcedure(ctx));
+            if (ctx.procedure.idempotent) await this._callIdempotent(ctx, execute);
+            else await execute();
+        },
+
+        async _callIdempotent(ctx, execute) {
+            const options = isPlainObject(ctx.procedure.idempotent) ? ctx.procedure.idempotent : {};
+            let key = (ctx.transport.getHeaders(ctx) || {})["idempotency-key"];
+            if (key == null && isPlainObject(ctx.arg)) key = ctx.arg[options.argField || "idempotencyKey"];
+            if (key == null || key === "") return execute();
+
+            ctx.idempotencyKey = String(key);
+            // Different callers can't replay each other replies.
+            const caller = isObject(ctx.auth) && ctx.auth ? ctx.auth.id : ctx.auth;
+            const storeKey = `allserver-idempotency:${ctx.procedureName}:${caller || ""}:${ctx.idempotencyKey}`;
+            const ttl = options.ttl || 24 * 60 * 60 * 1000;
+
+            const conflict = () => {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_IDEMPOTENCY_CONFLICT",
+                    message: `A call of '${ctx.procedureName}' procedure with the same idempotency key is in progress`,
+                };
+            };
+            // Checking this process calls synchronously. The store check below is for the calls to other processes.
+            if (this._pendingIdempotentCalls.has(storeKey)) return conflict();
+            this._pendingIdempotentCalls.add(storeKey);
+            try {
+                const stored = await this.idempotencyStore.get(storeKey);
+                if (stored && stored.pending) return conflict();
+                if (stored) {
+                    ctx.result = { ...stored.result };
+                    ctx.replayed = true;
+                    return;
+                }
+
+                await this.idempotencyStore.set(storeKey, { pending: true }, ttl);
+                let replayable = false;
+                try {
+                    await execute();
+                    // Crashed or timed out calls can be retried. Who knows what the procedure managed to do.
+                    const crashed = ctx.error && !(ctx.error instanceof AllserverError);
+                    replayable = !crashed && ctx.result.code !== "ALLSERVER_PROCEDURE_TIMEOUT";
+                } finally {
+                    if (replayable) await this.idempotencyStore.set(storeKey, { result: ctx.result }, ttl);
+                    else await this.idempotencyStore.delete(storeKey);
+                }
+            } finally {
+                this._pendingIdempotentCalls.delete(storeKey);
+            }
+        },
+
+        async _executeProcedure(ctx) {
             let result;
             try {
-                result = await ctx.procedure(ctx.arg, ctx);
+                result = await this._callWithTimeout(ctx);
             } catch (err) {
-                this.logger.error("ALLSERVER_PROCEDURE_ERROR", err);
                 ctx.error = err;
+                if (err instanceof AllserverError) {
+                    ctx.result = err.toResult();
+                    return;
+                }
+
+                ctx.log.error("ALLSERVER_PROCEDURE_ERROR", err);
+                this._events.emit("procedure:error", { ...this._getCallInfo(ctx), error: err });
                 ctx.result = {
                     success: false,
                     code: err.code || "ALLSERVER_PROCEDURE_ERROR",
                     message: `'${err.message}' error in '${ctx.procedureName}' procedure`,
                 };
-                await this.transport.prepareProcedureErrorReply(ctx);
+                await ctx.transport.prepareProcedureErrorReply(ctx);
+                return;
+            }
+
+            if (result === TIMED_OUT) {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_PROCEDURE_TIMEOUT",
+                    message: `'${ctx.procedureName}' procedure timed out after ${ctx.timeout}ms`,
+                };
+                await ctx.transport.prepareProcedureTimeoutReply(ctx);
                 return;
             }
 
@@ -83,17 +526,301 @@ module.exports = require("stampit")({
                     success: true,
                     code: "SUCCESS",
                     message: "Success",
-                    [ctx.procedureName]: result,
+                    // The "getUser@2" result is the `getUser` property. Same for all the versions.
+                    [ctx.transport.getResultKey(splitProcedureVersion(ctx.procedureName)[0])]: result,
                 };
             } else {
                 ctx.result = result;
             }
         },
 
-        async _callMiddlewares(ctx, middlewareType) {
-            if (!this[middlewareType]) return;
+        async _getCacheKey(procedureName, arg, ctx) {
+            // Invalidating all the procedure results at once is changing its "generation". Works with any store.
+            const generationKey = `allserver-cache-generation:${procedureName}`;
+            let generation = await this.cacheStore.get(generationKey);
+            if (generation === undefined) {
+                await this.cacheStore.set(generationKey, Math.random().toString(36).substr(2));
+                // Re-reading because a concurrent call could have set it too. The last one wins.
+                generation = await this.cacheStore.get(generationKey);
+            }
+
+            const procedure = this._findProcedure(procedureName);
+            const key = procedure && procedure.cache.key ? procedure.cache.key(arg, ctx) : stableStringify(arg);
+            return `allserver-cache:${procedureName}:${generation}:${key}`;
+        },
+
+        async _callCached(ctx) {
+            const key = await this._getCacheKey(ctx.procedureName, ctx.arg, ctx);
+
+            let cached = await this.cacheStore.get(key);
+            // Collapsing concurrent identical calls into a single execution.
+            if (cached === undefined && this._pendingCachedCalls.has(key)) {
+                cached = await this._pendingCachedCalls.get(key);
+            }
+            if (cached) {
+                ctx.result = { ...cached };
+                ctx.cached = true;
+                return;
+            }
+
+            const pending = this._executeProcedure(ctx).then(() =>
+                // Unsuccessful results are neither cached nor shared. The waiting calls execute the procedure themselves.
+                ctx.result && ctx.result.success === true ? ctx.result : undefined
+            );
+            this._pendingCachedCalls.set(key, pending);
+            try {
+                const result = await pending;
+                if (result) await this.cacheStore.set(key, { ...result }, ctx.procedure.cache.ttl);
+            } finally {
+                this._pendingCachedCalls.delete(key);
+            }
+        },
+
+        /**
+         * Removes the cached results of a procedure. All of them, or of the given argument only.
+         * Without arguments removes all the cached results of all the procedures.
+         * @param [procedureName] {String}
+         * @param [arg] {*} The procedure argument
+         * @param [ctx] {Object} Passed to the procedure `cache.key(arg, ctx)` function
+         */
+        async invalidateCache(procedureName, arg, ctx = { procedureName, arg }) {
+            if (procedureName === undefined) {
+                for (const name of Object.keys(this.getProcedures())) await this.invalidateCache(name);
+                return;
+            }
+
+            const procedure = this._findProcedure(procedureName);
+            if (!isFunction(procedure) || !procedure.cache) return;
+
+            if (arg !== undefined) {
+                await this.cacheStore.delete(await this._getCacheKey(procedureName, arg, ctx));
+            } else {
+                await this.cacheStore.delete(`allserver-cache-generation:${procedureName}`);
+            }
+        },
+
+        _getTimeout(ctx) {
+            const timeouts = [
+                ctx.procedure.timeout != null ? ctx.procedure.timeout : this.callTimeout,
+                // E.g. the Lambda invocation remaining time.
+                ctx.transport.getCallTimeout(ctx),
+            ].filter((t) => isNumber(t) && t > 0);
+            return timeouts.length ? Math.min(...timeouts) : undefined;
+        },
+
+        async _callWithTimeout(ctx) {
+            const timeout = this._getTimeout(ctx);
+            if (!timeout) return ctx.procedure(ctx.arg, ctx);
+            ctx.timeout = timeout;
+
+            // The procedure can stop its own work when the signal is aborted.
+            const abortController = createAbortController();
+            ctx.signal = abortController.signal;
+
+            let timer;
+            const timeoutPromise = new Promise((resolve) => {
+                timer = setTimeout(() => {
+                    const err = new Error(`'${ctx.procedureName}' procedure timed out after ${ctx.timeout}ms`);
+                    err.code = "ALLSERVER_PROCEDURE_TIMEOUT";
+                    abortController.abort(err);
+                    resolve(TIMED_OUT);
+                }, ctx.timeout);
+            });
+            try {
+                return await Promise.race([ctx.procedure(ctx.arg, ctx), timeoutPromise]);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        async _validateArg(ctx) {
+            const schema = ctx.procedure.argSchema;
+            if (!schema) return true;
+
+            // Missing argument is same as empty argument. This way the "required" properties are reported.
+            const errors = validate(schema, ctx.arg === undefined ? {} : ctx.arg);
+            if (!errors.length) return true;
+
+            ctx.result = {
+                success: false,
+                code: "ALLSERVER_BAD_ARGUMENTS",
+                message: `Bad arguments of '${ctx.procedureName}' procedure: ${errors
+                    .map(({ path, message }) => `'${path}' ${message}`)
+                    .join(", ")}`,
+                errors,
+            };
+            await ctx.transport.prepareBadArgumentsReply(ctx);
+            return false;
+        },
+
+        async _authenticate(ctx) {
+            if (!this.auth) return;
+            ctx.auth = null;
+
+            // The `introspection` option decides on the introspection calls. It can check the `ctx.auth`.
+            const fail = (result) => {
+                if (!ctx.isIntrospection) ctx.result = result;
+            };
+
+            const credentials = parseCredentials(ctx.transport.getHeaders(ctx) || {}, this.auth);
+            if (!credentials) {
+                const required = this.auth.required;
+                if (isFunction(required) ? required(ctx) : required !== false) {
+                    fail({ success: false, code: "ALLSERVER_UNAUTHENTICATED", message: "Authentication required" });
+                }
+                return;
+            }
+
+            let principal;
+            try {
+                principal = await this.auth[credentials.type](credentials.value, ctx);
+            } catch (err) {
+                ctx.error = err;
+                if (err instanceof AllserverError) return fail(err.toResult());
+                ctx.log.error("ALLSERVER_AUTH_ERROR", err);
+                // Not the caller's fault. Their credentials might be valid.
+                return fail({
+                    success: false,
+                    code: "ALLSERVER_AUTH_ERROR",
+                    message: "Couldn't verify the credentials",
+                });
+            }
+            if (!principal) {
+                fail({ success: false, code: "ALLSERVER_UNAUTHENTICATED", message: "Invalid credentials" });
+                return;
+            }
+            ctx.auth = principal;
+        },
+
+        _authorise(ctx) {
+            if (ctx.isIntrospection || !isFunction(ctx.procedure)) return;
+            const { roles, scopes } = ctx.procedure;
+            if (!roles && !scopes) return;
+
+            if (!ctx.auth) {
+                ctx.result = { success: false, code: "ALLSERVER_UNAUTHENTICATED", message: "Authentication required" };
+                return;
+            }
+
+            // The OAuth "scope" claim is a space separated string.
+            const has = (list) => (isString(list) ? list.split(" ") : [].concat(list || []));
+            const principalRoles = has(ctx.auth.roles);
+            const principalScopes = has(ctx.auth.scopes);
+            if (roles && !roles.some((role) => principalRoles.includes(role))) {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_FORBIDDEN",
+                    message: `Procedure '${ctx.procedureName}' requires any of the roles: ${roles.join(", ")}`,
+                };
+            } else if (scopes && !scopes.every((scope) => principalScopes.includes(scope))) {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_FORBIDDEN",
+                    message: `Procedure '${ctx.procedureName}' requires the scopes: ${scopes.join(", ")}`,
+                };
+            }
+        },
+
+        async _limitRate(ctx) {
+            if (ctx.isIntrospection || !isFunction(ctx.procedure)) return;
+            const own = ctx.procedure.rateLimit;
+            if (own === false || (!this.rateLimit && !own)) return;
+
+            // Procedures can be limited even if the server-wide limit is not set.
+            if (!this.rateLimit) this._rateLimiter = this._rateLimiter || RateLimiter();
+            const { allowed, retryAfter } = await (this.rateLimit || this._rateLimiter).consume(ctx, own);
+            if (allowed) return;
+
+            ctx.result = {
+                success: false,
+                code: "ALLSERVER_RATE_LIMITED",
+                message: `Too many calls of '${ctx.procedureName}' procedure. Retry after ${retryAfter}ms`,
+                retryAfter,
+            };
+            await ctx.transport.prepareRateLimitedReply(ctx);
+        },
 
-            const middlewares = [].concat(this[middlewareType]).filter(isFunction);
+        /**
+         * Takes a slot of the procedure own and the server-wide concurrency limits. Might wait in their queues.
+         * @return {Promise<Function|null>} The slots releasing function, or null if overloaded.
+         */
+        async _acquireConcurrency(ctx) {
+            const limiters = [];
+            const procedure = ctx.procedure;
+            if (!ctx.isIntrospection && isFunction(procedure) && procedure.concurrency) {
+                if (!this._concurrencyLimiters.has(procedure)) {
+                    this._concurrencyLimiters.set(procedure, ConcurrencyLimiter(procedure.concurrency));
+                }
+                limiters.push(this._concurrencyLimiters.get(procedure));
+            }
+            if (this.concurrency) limiters.push(this.concurrency);
+
+            const acquired = [];
+            const release = () => acquired.splice(0).forEach((limiter) => limiter.release());
+            for (const limiter of limiters) {
+                if (await limiter.acquire()) {
+                    acquired.push(limiter);
+                    continue;
+                }
+
+                release();
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_OVERLOADED",
+                    message:
+                        limiter === this.concurrency
+                            ? "Server is overloaded"
+                            : `Too many concurrent calls of '${ctx.procedureName}' procedure`,
+                };
+                await ctx.transport.prepareOverloadedReply(ctx);
+                return null;
+            }
+            return release;
+        },
+
+        /**
+         * The running and queued calls. Useful for autoscaling.
+         * @return {{queued: Number, global: {running: Number, queued: Number}|null, procedures: Object}}
+         */
+        getConcurrency() {
+            const global = this.concurrency ? this.concurrency.getStats() : null;
+            const procedures = {};
+            let queued = global ? global.queued : 0;
+            for (const [name, procedure] of Object.entries(this.getProcedures())) {
+                const limiter = isFunction(procedure) && this._concurrencyLimiters.get(procedure);
+                if (!limiter) continue;
+                procedures[name] = limiter.getStats();
+                queued += procedures[name].queued;
+            }
+            return { queued, global, procedures };
+        },
+
+        /**
+         * The liveness report. Runs only the `liveness` health checks.
+         * @return {Promise<{success: Boolean, code: String, message: String, checks: Object}>}
+         */
+        checkHealth() {
+            return (this.health || Health()).checkLiveness();
+        },
+
+        /**
+         * The readiness report. Runs all the health checks. Not ready while shutting down.
+         * @return {Promise<{success: Boolean, code: String, message: String, checks: Object}>}
+         */
+        async checkReadiness() {
+            if (this.isShuttingDown) {
+                return {
+                    success: false,
+                    code: "ALLSERVER_SHUTTING_DOWN",
+                    message: "Server is shutting down",
+                    checks: {},
+                };
+            }
+            return (this.health || Health()).checkReadiness();
+        },
+
+        async _callMiddlewares(ctx, middlewareType) {
+            const middlewares = this._getMiddlewares(ctx, middlewareType);
             for (const middleware of middlewares) {
                 try {
                     const result = await middleware.call(this, ctx);
@@ -102,8 +829,15 @@ module.exports = require("stampit")({
                         break;
                     }
                 } catch (err) {
-                    this.logger.error("ALLSERVER_MIDDLEWARE_ERROR", err);
                     ctx.error = err;
+                    if (err instanceof AllserverError) {
+                        ctx.result = err.toResult();
+                        return;
+                    }
+
+                    ctx.log.error("ALLSERVER_MIDDLEWARE_ERROR", err);
+                    if (this.metrics) this.metrics.countMiddlewareError(ctx, middlewareType);
+                    this._events.emit("middleware:error", { ...this._getCallInfo(ctx), middlewareType, error: err });
                     ctx.result = {
                         success: false,
                         code: err.code || "ALLSERVER_MIDDLEWARE_ERROR",
@@ -114,40 +848,478 @@ module.exports = require("stampit")({
             }
         },
 
+        _getMiddlewares(ctx, middlewareType) {
+            // Procedures can have their own middlewares. They are the closest to the procedure call.
+            const own = !ctx.isIntrospection && isFunction(ctx.procedure) ? ctx.procedure[middlewareType] : null;
+            const serverWide = [].concat(this[middlewareType] || []);
+            const procedureOwn = [].concat(own || []);
+            const middlewares =
+                middlewareType === "after" ? procedureOwn.concat(serverWide) : serverWide.concat(procedureOwn);
+            return middlewares.filter((m) => isFunction(m) && isMiddlewareApplicable(m, ctx));
+        },
+
+        async _callAroundMiddlewares(ctx, handler) {
+            const middlewares = this._getMiddlewares(ctx, "around");
+
+            const dispatch = async (index) => {
+                if (index === middlewares.length) {
+                    await handler();
+                    return ctx.result;
+                }
+
+                let nextCalled = false;
+                const next = () => {
+                    if (nextCalled) return Promise.reject(new Error("next() called multiple times"));
+                    nextCalled = true;
+                    return dispatch(index + 1);
+                };
+                const result = await middlewares[index].call(this, ctx, next);
+                if (result !== undefined) ctx.result = result;
+                return ctx.result;
+            };
+
+            try {
+                await dispatch(0);
+            } catch (err) {
+                ctx.error = err;
+                if (err instanceof AllserverError) {
+                    ctx.result = err.toResult();
+                    return;
+                }
+
+                ctx.log.error("ALLSERVER_MIDDLEWARE_ERROR", err);
+                if (this.metrics) this.metrics.countMiddlewareError(ctx, "around");
+                this._events.emit("middleware:error", {
+                    ...this._getCallInfo(ctx),
+                    middlewareType: "around",
+                    error: err,
+                });
+                ctx.result = {
+                    success: false,
+                    code: err.code || "ALLSERVER_MIDDLEWARE_ERROR",
+                    message: `'${err.message}' error in 'around' middleware`,
+                };
+            }
+        },
+
+        /**
+         * Subscribes to the "start", "stop", "call:start", "call:end", "procedure:error", "middleware:error",
+         * "introspection" events. The listeners receive a frozen event object. Their errors are logged, not thrown.
+         * @return {Allserver} this
+         */
+        on(eventName, listener) {
+            this._events.on(eventName, listener);
+            return this;
+        },
+
+        /**
+         * Without the listener unsubscribes all the listeners of the event.
+         * @return {Allserver} this
+         */
+        off(eventName, listener) {
+            this._events.off(eventName, listener);
+            return this;
+        },
+
+        /**
+         * @return {Allserver} this
+         */
+        once(eventName, listener) {
+            this._events.once(eventName, listener);
+            return this;
+        },
+
+        /**
+         * Adds a Koa-style `async (ctx, next) => {}` middleware wrapping the procedure call.
+         * @return {Allserver} this
+         */
+        use(middleware) {
+            assert(isFunction(middleware), "Middleware must be a function");
+            this.around = [].concat(this.around || [], middleware);
+            return this;
+        },
+
+        _getStatus(ctx) {
+            const code = ctx.result && ctx.result.code;
+            const mapped = isString(code) && Object.prototype.hasOwnProperty.call(this.statusCodes, code);
+            const status = { ...(mapped ? this.statusCodes[code] : {}) };
+            // The thrown error hints take precedence over the mapping.
+            if (ctx.error instanceof AllserverError && code === ctx.error.code) {
+                if (ctx.error.httpStatus != null) status.http = ctx.error.httpStatus;
+                if (ctx.error.grpcStatus != null) status.grpc = ctx.error.grpcStatus;
+            }
+            return status;
+        },
+
+        _markDeprecated(ctx) {
+            const { deprecated } = ctx.procedure;
+            const message = isString(deprecated) ? deprecated : `Procedure '${ctx.procedureName}' is deprecated`;
+            if (isObject(ctx.result) && !Array.isArray(ctx.result)) ctx.result = { ...ctx.result, deprecated: message };
+            ctx.transport.setReplyHeader(ctx, "deprecation", "true");
+            if (this.metrics) this.metrics.countDeprecatedCall(ctx);
+
+            if (this._loggedDeprecations.has(ctx.procedureName)) return;
+            this._loggedDeprecations.add(ctx.procedureName);
+            ctx.log.warn("ALLSERVER_DEPRECATED_PROCEDURE", message);
+        },
+
+        async _reply(ctx) {
+            if (!ctx.isIntrospection && isFunction(ctx.procedure) && ctx.procedure.deprecated)
+                this._markDeprecated(ctx);
+            // Error messages and details might contain the arg values.
+            if (ctx.result && !ctx.result.success) ctx.result = ctx.redacted(ctx.result);
+            const status = this._getStatus(ctx);
+            if (status.http || status.grpc) await ctx.transport.prepareReplyStatus(ctx, status);
+            ctx.transport.reply(ctx);
+            this._finishCall(ctx);
+        },
+
+        _finishCall(ctx) {
+            if (this.metrics) this.metrics.endCall(ctx);
+            if (this.tracing) this._endSpan(ctx);
+            this._endCall(ctx);
+        },
+
+        // The batch result is the array of the call results. The batch request itself is a success.
+        _getResult(ctx) {
+            return Array.isArray(ctx.result) ? { success: true, code: "SUCCESS" } : ctx.result || {};
+        },
+
+        _getRequestId(ctx) {
+            const value = this.requestIdHeader && (ctx.transport.getHeaders(ctx) || {})[this.requestIdHeader];
+            // Not trusting arbitrary long or binary values from the outside world.
+            return isString(value) && /^[\x21-\x7e]{1,200}$/.test(value) ? value : createId();
+        },
+
+        _createCallLogger(ctx) {
+            const bindings = { requestId: ctx.requestId, procedureName: ctx.procedureName };
+            const logger = this.logger;
+            // pino, bunyan, winston, etc.
+            const target = isFunction(logger.child) ? logger.child(bindings) : logger;
+
+            const log = {};
+            for (const level of ["error", "warn", "info", "debug"]) {
+                log[level] = (...args) => {
+                    if (!isFunction(target[level])) return;
+                    args = args.map((arg) => ctx.redacted(arg));
+                    if (target === logger) args.push(bindings);
+                    target[level](...args);
+                };
+            }
+            return log;
+        },
+
+        _getCallInfo(ctx) {
+            return {
+                requestId: ctx.requestId,
+                procedureName: ctx.isIntrospection ? "introspect" : ctx.procedureName,
+                transport: ctx.transport.getName(),
+            };
+        },
+
+        _endCall(ctx) {
+            const result = this._getResult(ctx);
+            const entry = {
+                ...this._getCallInfo(ctx),
+                code: result.code,
+                success: Boolean(result.success),
+                duration: Date.now() - ctx.startedAt,
+            };
+            this._events.emit("call:end", { ...entry });
+            if (!this.accessLog) return;
+            if (isFunction(this.accessLog)) this.accessLog(entry, ctx);
+            else this.logger.info("ALLSERVER_ACCESS", entry);
+        },
+
+        _startSpan(ctx) {
+            const headers = ctx.transport.getHeaders(ctx) || {};
+            const parent = parseTraceparent(headers.traceparent);
+            ctx.trace = {
+                traceId: parent ? parent.traceId : createTraceId(),
+                spanId: createSpanId(),
+                parentSpanId: parent ? parent.parentSpanId : undefined,
+                flags: parent ? parent.flags : "01",
+                // Vendor specific. Passing it along as is.
+                tracestate: parent && headers.tracestate ? String(headers.tracestate) : undefined,
+                startTime: Date.now(),
+            };
+        },
+
+        _endSpan(ctx) {
+            const exporter = this.tracing.exporter;
+            // The "sampled" flag is off. The caller does not want this trace recorded.
+            if (!exporter || !(parseInt(ctx.trace.flags, 16) & 1)) return;
+
+            const result = this._getResult(ctx);
+            const name = ctx.isIntrospection ? "introspect" : ctx.procedureName;
+            const span = {
+                traceId: ctx.trace.traceId,
+                spanId: ctx.trace.spanId,
+                parentSpanId: ctx.trace.parentSpanId,
+                flags: ctx.trace.flags,
+                name,
+                kind: "server",
+                startTime: ctx.trace.startTime,
+                endTime: Date.now(),
+                status: { code: result.success ? "OK" : "ERROR", message: result.message },
+                attributes: ctx.redacted({
+                    "rpc.system": "allserver",
+                    "rpc.method": name,
+                    "rpc.allserver.transport": ctx.transport.getName(),
+                    "rpc.allserver.code": result.code,
+                }),
+            };
+            // Exporting must never break the call.
+            Promise.resolve()
+                .then(() => exporter.export(span))
+                .catch((err) => ctx.log.error("ALLSERVER_TRACING_ERROR", err));
+        },
+
         async handleCall(ctx) {
+            if (!ctx.transport) ctx.transport = this.transport;
             ctx.callNumber = this.callsCount;
             this.callsCount += 1;
-            ctx.procedureName = this.transport.getProcedureName(ctx);
-            ctx.isIntrospection = this.transport.isIntrospection(ctx);
-            if (!ctx.isIntrospection && ctx.procedureName) ctx.procedure = this.procedures[ctx.procedureName];
+            ctx.procedureName = ctx.transport.getProcedureName(ctx);
+            ctx.isIntrospection = ctx.transport.isIntrospection(ctx);
+            // Batches can't be nested.
+            if (this.batch && !ctx.batch && !ctx.isIntrospection && ctx.procedureName === "batch") ctx.isBatch = true;
+            if (!ctx.isIntrospection && !ctx.isBatch && ctx.procedureName) this._resolveProcedure(ctx);
+            ctx.startedAt = Date.now();
+            const sensitive = isFunction(ctx.procedure) ? ctx.procedure.sensitive : null;
+            ctx.redacted = (value) => this._redact(value, sensitive);
+            ctx.requestId = this._getRequestId(ctx);
+            ctx.log = this._createCallLogger(ctx);
+            ctx.transport.setReplyHeader(ctx, this.requestIdHeader || "x-request-id", ctx.requestId);
+            if (this.metrics) this.metrics.startCall(ctx);
+            if (this.tracing) this._startSpan(ctx);
+            this._events.emit("call:start", this._getCallInfo(ctx));
+
+            // The AllserverClient calls made during this call continue its trace and request ID.
+            return runWithCall(ctx, () => this._handleCall(ctx));
+        },
+
+        async _handleCall(ctx) {
+            // The calls of the batch reply the shutting down themselves. The batch reply is always an array.
+            if (this.isShuttingDown && !ctx.isBatch) {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_SHUTTING_DOWN",
+                    message: "Server is shutting down",
+                };
+                await ctx.transport.prepareShuttingDownReply(ctx);
+                await this._reply(ctx);
+                return;
+            }
+
+            this.inFlightCalls += 1;
+            try {
+                if (ctx.isBatch) {
+                    await this._handleBatch(ctx);
+                    return;
+                }
+
+                await this._authenticate(ctx);
+                if (!ctx.result) this._authorise(ctx);
+                if (!ctx.result) await this._limitRate(ctx);
 
-            await this._callMiddlewares(ctx, "before");
+                if (!ctx.result) await this._callMiddlewares(ctx, "before");
 
-            if (!ctx.result) {
-                if (ctx.isIntrospection) {
-                    await this._introspect(ctx);
-                } else {
-                    await this._callProcedure(ctx);
+                const release = !ctx.result && (await this._acquireConcurrency(ctx));
+                if (release) {
+                    try {
+                        await this._callAroundMiddlewares(ctx, async () => {
+                            if (ctx.isIntrospection) {
+                                await this._introspect(ctx);
+                            } else {
+                                await this._callProcedure(ctx);
+                            }
+                        });
+                    } finally {
+                        release();
+                    }
                 }
+
+                // Warning! This call might overwrite an existing result.
+                await this._callMiddlewares(ctx, "after");
+
+                await this._reply(ctx);
+            } finally {
+                this.inFlightCalls -= 1;
+                if (!this.inFlightCalls) this._drainListeners.splice(0).forEach((listener) => listener());
+            }
+        },
+
+        async _handleBatch(ctx) {
+            const { calls, sequential } = ctx.arg || {};
+            const { maxSize } = this.batch;
+            const isCall = (call) => isPlainObject(call) && isString(call.procedure) && call.procedure !== "";
+            if (!Array.isArray(calls) || calls.length > maxSize || !calls.every(isCall)) {
+                ctx.result = {
+                    success: false,
+                    code: "ALLSERVER_BAD_ARGUMENTS",
+                    message: `Batch must be the '{ calls: [{ procedure, arg }] }' object of up to ${maxSize} calls`,
+                };
+                await ctx.transport.prepareBadArgumentsReply(ctx);
+                await this._reply(ctx);
+                return;
             }
 
-            // Warning! This call might overwrite an existing result.
-            await this._callMiddlewares(ctx, "after");
+            // Each call goes through the full pipeline - auth, rate limits, middlewares, etc.
+            const transport = BatchTransport({ transport: ctx.transport });
+            const callOne = async ({ procedure, arg, headers }, index) => {
+                const batch = { index, procedureName: procedure, headers, parent: ctx };
+                const callCtx = { allserver: ctx.allserver, transport, arg: arg === undefined ? {} : arg, batch };
+                await this.handleCall(callCtx);
+                return callCtx.result;
+            };
 
-            this.transport.reply(ctx);
+            let results = [];
+            if (sequential) {
+                for (let i = 0; i < calls.length; i += 1) results.push(await callOne(calls[i], i));
+            } else {
+                results = await Promise.all(calls.map(callOne));
+            }
+
+            ctx.result = results;
+            ctx.transport.reply(ctx);
+            this._finishCall(ctx);
+        },
+
+        _waitForInFlightCalls(timeout) {
+            if (!this.inFlightCalls) return Promise.resolve(true);
+
+            return new Promise((resolve) => {
+                const listener = () => {
+                    clearTimeout(timer);
+                    resolve(true);
+                };
+                const timer = setTimeout(() => {
+                    this._drainListeners = this._drainListeners.filter((l) => l !== listener);
+                    resolve(false);
+                }, timeout);
+                this._drainListeners.push(listener);
+            });
+        },
+
+        _listenShutdownSignals() {
+            for (const signal of [].concat(this.shutdownSignals || [])) {
+                if (this._signalListeners[signal]) continue;
+
+                this._signalListeners[signal] = async () => {
+                    await this.stop();
+                    // Our listener is removed by now. Re-raising the signal to let node.js (or others) handle it.
+                    process.kill(process.pid, signal);
+                };
+                process.once(signal, this._signalListeners[signal]);
+            }
+        },
+
+        _unlistenShutdownSignals() {
+            for (const [signal, listener] of Object.entries(this._signalListeners)) {
+                process.removeListener(signal, listener);
+            }
+            this._signalListeners = {};
         },
 
         start() {
-            return this.transport.startServer({ allserver: this });
+            this.isShuttingDown = false;
+            this._listenShutdownSignals();
+
+            const results = this.transports.map((transport) => transport.startServer({ allserver: this, transport }));
+            let started = results.length === 1 ? results[0] : Promise.all(results);
+            // The LambdaTransport returns the handler function. Can't wrap it into a promise.
+            const isAsync = started && isFunction(started.then);
+            if (this.metrics && this.metrics.port) {
+                const metricsStarted = this.metrics.startServer();
+                if (isAsync) started = Promise.all([started, metricsStarted]).then((r) => r[0]);
+            }
+
+            const emitStart = () => this._events.emit("start", { transports: this.transports.map((t) => t.getName()) });
+            if (!isAsync) {
+                emitStart();
+                return started;
+            }
+            return started.then((r) => {
+                emitStart();
+                return r;
+            });
         },
-        stop() {
-            return this.transport.stopServer();
+        async stop() {
+            this._unlistenShutdownSignals();
+            // Refusing new calls from now on.
+            this.isShuttingDown = true;
+
+            const drained = await this._waitForInFlightCalls(this.shutdownTimeout);
+            if (!drained) {
+                this.logger.error(
+                    "ALLSERVER_SHUTDOWN_TIMEOUT",
+                    new Error(`${this.inFlightCalls} call(s) still running after ${this.shutdownTimeout}ms`)
+                );
+            }
+
+            await Promise.all(this.transports.map((transport) => transport.stopServer({ force: !drained })));
+            if (this.metrics) await this.metrics.stopServer();
+            this._events.emit("stop", { forced: !drained });
         },
     },
 
     statics: {
-        defaults({ procedures, transport, logger, introspection, before, after } = {}) {
-            return this.props({ procedures, transport, logger, introspection, before, after });
+        defaults({
+            procedures,
+            transport,
+            transports,
+            logger,
+            introspection,
+            before,
+            after,
+            around,
+            shutdownTimeout,
+            shutdownSignals,
+            callTimeout,
+            statusCodes,
+            auth,
+            rateLimit,
+            concurrency,
+            cacheStore,
+            idempotencyStore,
+            metrics,
+            health,
+            batch,
+            tracing,
+            requestIdHeader,
+            accessLog,
+            redact,
+            versionHeader,
+            versionArg,
+        } = {}) {
+            return this.props({
+                procedures,
+                transport,
+                transports,
+                logger,
+                introspection,
+                before,
+                after,
+                around,
+                shutdownTimeout,
+                shutdownSignals,
+                callTimeout,
+                statusCodes,
+                auth,
+                rateLimit,
+                concurrency,
+                cacheStore,
+                idempotencyStore,
+                metrics,
+                health,
+                batch,
+                tracing,
+                requestIdHeader,
+                accessLog,
+                redact,
+                versionHeader,
+                versionArg,
+            });
         },
     },
 });
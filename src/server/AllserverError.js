@@ -0,0 +1,22 @@
+/**
+ * Throw it from a procedure or a middleware to reply `{success:false, code, message, ...extra}`.
+ * Unlike other exceptions it is not logged, and its message is not wrapped.
+ *
+ * @example
+ * throw new AllserverError({ code: "USER_NOT_FOUND", message: `User ${id} not found`, httpStatus: 404, id });
+ */
+module.exports = class AllserverError extends Error {
+    constructor({ code, message, httpStatus, grpcStatus, ...extra } = {}) {
+        super(message || code);
+        this.name = "AllserverError";
+        this.code = code || "ALLSERVER_ERROR";
+        // Optional protocol status hints. Take precedence over the server `statusCodes` mapping.
+        if (httpStatus != null) this.httpStatus = httpStatus;
+        if (grpcStatus != null) this.grpcStatus = grpcStatus;
+        this.extra = extra;
+    }
+
+    toResult() {
+        return { success: false, code: this.code, message: this.message, ...this.extra };
+    }
+};
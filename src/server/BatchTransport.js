@@ -0,0 +1,45 @@
+// Runs a single call of a batch through the Allserver.handleCall(). Everything else comes from the batch request.
+module.exports = require("./Transport").compose({
+    name: "BatchTransport",
+
+    props: {
+        // The transport the batch request came through.
+        transport: null,
+    },
+
+    init({ transport }) {
+        this.transport = transport || this.transport;
+    },
+
+    methods: {
+        getName() {
+            return this.transport.getName();
+        },
+
+        getProcedureName(ctx) {
+            return ctx.batch.procedureName;
+        },
+
+        isIntrospection() {
+            return false;
+        },
+
+        getCallTimeout(ctx) {
+            return this.transport.getCallTimeout(ctx.batch.parent);
+        },
+
+        // The batch request headers, overridden by the call's own. E.g. the "idempotency-key".
+        getHeaders(ctx) {
+            const headers = { ...this.transport.getHeaders(ctx.batch.parent) };
+            for (const [name, value] of Object.entries(ctx.batch.headers || {})) headers[name.toLowerCase()] = value;
+            return headers;
+        },
+
+        getRemoteAddress(ctx) {
+            return this.transport.getRemoteAddress(ctx.batch.parent);
+        },
+
+        // The result is collected from the `ctx.result` by the Allserver.
+        reply() {},
+    },
+});
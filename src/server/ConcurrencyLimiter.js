@@ -0,0 +1,51 @@
+const assert = require("assert");
+
+module.exports = require("stampit")({
+    name: "ConcurrencyLimiter",
+
+    props: {
+        // Max calls running at the same time.
+        limit: 100,
+        // Max calls waiting for a free slot. The calls above it are rejected immediately.
+        queueSize: 0,
+
+        running: 0,
+    },
+
+    init({ limit, queueSize }) {
+        this.limit = limit || this.limit;
+        this.queueSize = queueSize != null ? queueSize : this.queueSize;
+        assert(this.limit > 0, "Concurrency 'limit' must be a positive number");
+        assert(this.queueSize >= 0, "Concurrency 'queueSize' must be zero or a positive number");
+
+        this._queue = [];
+    },
+
+    methods: {
+        getStats() {
+            return { running: this.running, queued: this._queue.length };
+        },
+
+        /**
+         * Takes a slot. Waits in the queue if there are no free slots.
+         * @return {Promise<Boolean>} false if the queue is full too. The slot must be released otherwise.
+         */
+        async acquire() {
+            if (this.running < this.limit) {
+                this.running += 1;
+                return true;
+            }
+            if (this._queue.length >= this.queueSize) return false;
+
+            // The slot is handed over by the release() call. The `running` stays the same.
+            await new Promise((resolve) => this._queue.push(resolve));
+            return true;
+        },
+
+        release() {
+            const next = this._queue.shift();
+            if (next) next();
+            else this.running -= 1;
+        },
+    },
+});
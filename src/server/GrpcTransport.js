@@ -1,4 +1,5 @@
-const { isPlainObject, isFunction } = require("../util");
+const { isPlainObject, isFunction, normaliseGrpcServiceName, splitProcedureVersion } = require("../util");
+const { json } = require("../codecs");
 
 module.exports = require("./Transport").compose({
     name: "GrpcTransport",
@@ -22,6 +23,10 @@ module.exports = require("./Transport").compose({
     },
 
     methods: {
+        getName() {
+            return "grpc";
+        },
+
         _validateResponseTypes(obj, inspectedSet = new Set()) {
             inspectedSet.add(obj); // circle linking protection
 
@@ -55,26 +60,69 @@ module.exports = require("./Transport").compose({
             this._validateResponseTypes(packageDefinition);
         },
 
-        async startServer(defaultCtx) {
-            this.server = new this._grpc.Server(this.options);
-            async function wrappedCallback(call, callback) {
-                const ctx = { ...defaultCtx, arg: call.request, grpc: { call, callback } };
-                await ctx.allserver.handleCall(ctx);
+        _groupProceduresByNamespace(procedures) {
+            // The "users/create" procedure becomes the "create" method of the "users" namespace.
+            const namespaces = {};
+            for (let [procedureName, impl] of Object.entries(procedures)) {
+                if (!isFunction(impl)) continue;
+
+                // The "getUser@1" and "getUser@2" are both served by the "getUser" method. The metadata picks the version.
+                procedureName = splitProcedureVersion(procedureName)[0];
+                const index = procedureName.lastIndexOf("/");
+                const namespace = index < 0 ? "" : normaliseGrpcServiceName(procedureName.substr(0, index));
+                namespaces[namespace] = namespaces[namespace] || {};
+                namespaces[namespace][procedureName.substr(index + 1)] = procedureName;
             }
+            return namespaces;
+        },
 
-            const packageDefinition = this._protoLoader.loadSync(this.protoFile);
-            this._validatePackageDefinition(packageDefinition);
+        // The standard "grpc.health.v1.Health" service. The "liveness" service name is the liveness report.
+        // The "" (whole server) or any other service name is the readiness report.
+        _addHealthService(allserver) {
+            const packageDefinition = this._protoLoader.loadSync(require("path").join(__dirname, "health.proto"));
+            const { Health } = this._grpc.loadPackageDefinition(packageDefinition).grpc.health.v1;
+            this.server.addService(Health.service, {
+                Check: async (call, callback) => {
+                    const isLiveness = call.request.service === "liveness";
+                    const report = await (isLiveness ? allserver.checkHealth() : allserver.checkReadiness());
+                    callback(null, { status: report.success ? "SERVING" : "NOT_SERVING" });
+                },
+            });
+        },
 
-            const protoDescriptor = this._grpc.loadPackageDefinition(packageDefinition);
-            for (const typeOfProto of Object.values(protoDescriptor)) {
+        _addProcedureServices(defaultCtx) {
+            function createCallback(procedureName) {
+                return async function wrappedCallback(call, callback) {
+                    const ctx = { ...defaultCtx, arg: call.request, grpc: { call, callback, procedureName } };
+                    await ctx.allserver.handleCall(ctx);
+                };
+            }
+
+            const namespaces = this._groupProceduresByNamespace(defaultCtx.allserver.getProcedures());
+            this._services = [];
+            for (const [serviceName, typeOfProto] of Object.entries(this._protoDescriptor)) {
                 if (!(isFunction(typeOfProto) && isPlainObject(typeOfProto.service))) continue;
 
-                const proxies = { introspect: wrappedCallback };
-                for (const [name, impl] of Object.entries(defaultCtx.allserver.procedures)) {
-                    if (isFunction(impl)) proxies[name] = wrappedCallback;
+                // The "Users" service serves the "users" namespace. Other services serve the top level procedures.
+                const methods = namespaces[normaliseGrpcServiceName(serviceName)] || namespaces[""] || {};
+                const proxies = { introspect: createCallback("introspect") };
+                for (const [methodName, procedureName] of Object.entries(methods)) {
+                    proxies[methodName] = createCallback(procedureName);
                 }
                 this.server.addService(typeOfProto.service, proxies);
+                this._services.push(typeOfProto.service);
             }
+        },
+
+        async startServer(defaultCtx) {
+            this.server = new this._grpc.Server(this.options);
+
+            const packageDefinition = this._protoLoader.loadSync(this.protoFile);
+            this._validatePackageDefinition(packageDefinition);
+            this._protoDescriptor = this._grpc.loadPackageDefinition(packageDefinition);
+            this._addProcedureServices(defaultCtx);
+
+            if (defaultCtx.allserver.health) this._addHealthService(defaultCtx.allserver);
 
             await new Promise((resolve, reject) => {
                 this.server.bindAsync(`0.0.0.0:${this.port}`, this.credentials, (err, result) =>
@@ -84,18 +132,51 @@ module.exports = require("./Transport").compose({
 
             return this.server.start();
         },
-        stopServer() {
+        updateProcedures(defaultCtx) {
+            // Not started yet. The procedures will be registered on start.
+            if (!this.server) return;
+
+            // Re-registering the handlers. The .proto file stays the same, so the new procedures must be declared there.
+            for (const service of this._services) this.server.removeService(service);
+            this._addProcedureServices(defaultCtx);
+        },
+
+        stopServer({ force } = {}) {
+            if (force) return this.server.forceShutdown();
             return new Promise((r) => this.server.tryShutdown(r));
         },
 
         getProcedureName(ctx) {
-            return ctx.grpc.call.call.handler.path.split("/").pop();
+            return ctx.grpc.procedureName;
         },
 
         isIntrospection(ctx) {
             return this.getProcedureName(ctx) === "introspect";
         },
 
+        getHeaders(ctx) {
+            return ctx.grpc.call.metadata ? ctx.grpc.call.metadata.getMap() : {};
+        },
+
+        getRemoteAddress(ctx) {
+            // E.g. "ipv4:127.0.0.1:54321" or "ipv6:[::1]:54321"
+            const peer = ctx.grpc.call.getPeer ? ctx.grpc.call.getPeer() : "";
+            return peer
+                .replace(/^ipv[46]:/, "")
+                .replace(/:\d+$/, "")
+                .replace(/^\[(.*)\]$/, "$1");
+        },
+
+        getResultKey(procedureName) {
+            // The "users/create" result is the "create" field. Protobuf field names can't have slashes.
+            return procedureName.substr(procedureName.lastIndexOf("/") + 1);
+        },
+
+        setReplyHeader(ctx, name, value) {
+            // Sent as the trailing metadata.
+            ctx.grpc.replyMetadata = { ...ctx.grpc.replyMetadata, [name]: String(value) };
+        },
+
         async prepareIntrospectionReply(ctx) {
             if (!this.protoFileContents) {
                 this.protoFileContents = this._fs.readFileSync(this.protoFile, "utf8");
@@ -104,8 +185,25 @@ module.exports = require("./Transport").compose({
             ctx.result.proto = this.protoFileContents;
         },
 
+        prepareReplyStatus(ctx, { grpc }) {
+            if (grpc) ctx.grpc.status = grpc;
+        },
+
         reply(ctx) {
-            ctx.grpc.callback(null, ctx.result);
+            const metadata = new this._grpc.Metadata();
+            for (const [name, value] of Object.entries(ctx.grpc.replyMetadata || {})) metadata.set(name, value);
+            if (!ctx.grpc.status) return ctx.grpc.callback(null, ctx.result, metadata);
+
+            // Non-OK gRPC statuses carry no response message. Passing the result via the trailing metadata instead.
+            let encoded;
+            try {
+                encoded = json.encode(ctx.result);
+            } catch (err) {
+                // E.g. a circular reference. The status must be replied anyway.
+                encoded = json.encode({ success: false, code: ctx.result.code, message: ctx.result.message });
+            }
+            metadata.set("allserver-result-bin", Buffer.from(encoded));
+            ctx.grpc.callback({ code: ctx.grpc.status, details: ctx.result.message, metadata });
         },
     },
 });
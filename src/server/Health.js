@@ -0,0 +1,94 @@
+const assert = require("assert");
+
+const { isFunction, isPlainObject } = require("../util");
+
+module.exports = require("stampit")({
+    name: "Health",
+
+    props: {
+        // The `{ name: check }` async functions. A check fails if it throws, returns `false`, or `{ success: false }`.
+        checks: {},
+        // The default check timeout. Milliseconds.
+        timeout: 1000,
+        // The HttpTransport and LambdaTransport serve the liveness report on `GET <path>`.
+        path: "/health",
+        // And the readiness report on `GET <readyPath>`.
+        readyPath: "/ready",
+    },
+
+    init({ checks, timeout, path, readyPath }) {
+        this.timeout = timeout || this.timeout;
+        this.path = path || this.path;
+        this.readyPath = readyPath || this.readyPath;
+
+        const allChecks = { ...this.checks, ...checks };
+        this.checks = {};
+        for (const [name, check] of Object.entries(allChecks)) {
+            if (isPlainObject(check)) this.addCheck(name, check.check, check);
+            else this.addCheck(name, check);
+        }
+    },
+
+    methods: {
+        /**
+         * @param name {String}
+         * @param check {Function} E.g. `() => db.ping()`, or `() => usersClient.introspect()`
+         * @param [timeout] {Number} Milliseconds
+         * @param [liveness] {Boolean} Run it for the liveness report too. Otherwise, only for the readiness report.
+         */
+        addCheck(name, check, { timeout, liveness = false } = {}) {
+            assert(isFunction(check), `'${name}' health check must be a function`);
+            this.checks[name] = { check, timeout: timeout || this.timeout, liveness };
+            return this;
+        },
+
+        removeCheck(name) {
+            delete this.checks[name];
+            return this;
+        },
+
+        async _runCheck({ check, timeout }) {
+            const startedAt = Date.now();
+            let timer;
+            let result;
+            try {
+                result = await Promise.race([
+                    Promise.resolve().then(check),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+                    }),
+                ]);
+            } catch (err) {
+                return { success: false, message: err.message, duration: Date.now() - startedAt };
+            } finally {
+                clearTimeout(timer);
+            }
+
+            const duration = Date.now() - startedAt;
+            // E.g. the AllserverClient result.
+            if (result === false || (result && result.success === false)) {
+                return { success: false, message: (result && result.message) || "Check failed", duration };
+            }
+            return { success: true, duration };
+        },
+
+        async _report(filter) {
+            const names = Object.keys(this.checks).filter((name) => filter(this.checks[name]));
+            const results = await Promise.all(names.map((name) => this._runCheck(this.checks[name])));
+
+            const checks = {};
+            names.forEach((name, i) => (checks[name] = results[i]));
+            const failed = names.filter((name) => !checks[name].success);
+            if (!failed.length) return { success: true, code: "ALLSERVER_HEALTHY", message: "Healthy", checks };
+            return { success: false, code: "ALLSERVER_UNHEALTHY", message: `Failed: ${failed.join(", ")}`, checks };
+        },
+
+        checkLiveness() {
+            return this._report((c) => c.liveness);
+        },
+
+        checkReadiness() {
+            return this._report(() => true);
+        },
+    },
+});
@@ -1,4 +1,5 @@
 const { parse: parseUrl, URLSearchParams } = require("url");
+const { findCodec, negotiateCodec } = require("../codecs");
 
 module.exports = require("./Transport").compose({
     name: "HttpTransport",
@@ -13,12 +14,18 @@ module.exports = require("./Transport").compose({
     },
 
     methods: {
+        getName() {
+            return "http";
+        },
+
         async _deserializeRequest(ctx) {
             const bodyBuffer = await this.micro.buffer(ctx.http.req);
             let arg = ctx.http.query;
             try {
                 // If there is no body we will use request query (aka search params)
-                if (bodyBuffer.length !== 0) arg = await this.micro.json(ctx.http.req);
+                if (bodyBuffer.length !== 0) {
+                    arg = findCodec(ctx.http.req.headers["content-type"]).decode(bodyBuffer.toString("utf8"));
+                }
                 ctx.arg = arg;
                 return true;
             } catch (err) {
@@ -42,6 +49,22 @@ module.exports = require("./Transport").compose({
             this.server = this.micro(async (req, res) => {
                 const ctx = { ...defaultCtx, http: { req, res, url: parseUrl(req.url) } };
 
+                const metrics = defaultCtx.allserver.metrics;
+                if (metrics && metrics.path && req.method === "GET" && ctx.http.url.pathname === metrics.path) {
+                    res.setHeader("content-type", metrics.contentType);
+                    return this.micro.send(res, 200, metrics.toPrometheus());
+                }
+
+                const health = defaultCtx.allserver.health;
+                const pathname = ctx.http.url.pathname;
+                if (health && req.method === "GET" && (pathname === health.path || pathname === health.readyPath)) {
+                    const allserver = defaultCtx.allserver;
+                    const report = await (pathname === health.path
+                        ? allserver.checkHealth()
+                        : allserver.checkReadiness());
+                    return this.micro.send(res, report.success ? 200 : 503, report);
+                }
+
                 ctx.http.query = {};
                 if (ctx.http.url.query) {
                     for (const [key, value] of new URLSearchParams(ctx.http.url.query).entries()) {
@@ -51,10 +74,21 @@ module.exports = require("./Transport").compose({
 
                 await this._handleRequest(ctx);
             });
+
+            // Tracking connections to be able to force close them on stop.
+            this._sockets = new Set();
+            this.server.on("connection", (socket) => {
+                this._sockets.add(socket);
+                socket.on("close", () => this._sockets.delete(socket));
+            });
+
             return new Promise((r) => this.server.listen(this.port, r));
         },
-        stopServer() {
-            return new Promise((r) => this.server.close(r));
+        stopServer({ force } = {}) {
+            return new Promise((r) => {
+                this.server.close(r);
+                if (force) for (const socket of this._sockets) socket.destroy();
+            });
         },
 
         getProcedureName(ctx) {
@@ -65,20 +99,55 @@ module.exports = require("./Transport").compose({
             return this.getProcedureName(ctx) === "";
         },
 
+        getHeaders(ctx) {
+            return ctx.http.req.headers;
+        },
+
+        getRemoteAddress(ctx) {
+            // Behind a proxy use a custom RateLimiter `key` function reading the "x-forwarded-for" header instead.
+            return ctx.http.req.socket.remoteAddress;
+        },
+
+        setReplyHeader(ctx, name, value) {
+            ctx.http.res.setHeader(name, value);
+        },
+
         prepareNotFoundReply(ctx) {
             ctx.http.statusCode = 404;
         },
+        prepareBadArgumentsReply(ctx) {
+            ctx.http.statusCode = 400;
+        },
+        prepareShuttingDownReply(ctx) {
+            ctx.http.statusCode = 503;
+        },
+        prepareProcedureTimeoutReply(ctx) {
+            ctx.http.statusCode = 504;
+        },
+        prepareOverloadedReply(ctx) {
+            ctx.http.statusCode = 503;
+        },
+        prepareRateLimitedReply(ctx) {
+            ctx.http.statusCode = 429;
+            ctx.http.res.setHeader("Retry-After", Math.ceil(ctx.result.retryAfter / 1000));
+        },
         prepareProcedureErrorReply(ctx) {
-            // Generic exception.
+            // Generic exception. The Allserver `statusCodes` option can change it per result code.
             ctx.http.statusCode = 500;
-
-            // nodejs assert() exception. In HTTP world this likely means 400 "Bad Request".
-            if (ctx.error.code === "ERR_ASSERTION") ctx.http.statusCode = 400;
+        },
+        prepareReplyStatus(ctx, { http }) {
+            if (http) ctx.http.statusCode = http;
         },
 
         reply(ctx) {
             if (!ctx.http.statusCode) ctx.http.statusCode = 200;
-            this.micro.send(ctx.http.res, ctx.http.statusCode, ctx.result);
+            // Nothing to reply, e.g. the introspection is disabled. The empty body.
+            if (ctx.result === undefined) return this.micro.send(ctx.http.res, ctx.http.statusCode);
+
+            // The plain JSON unless the caller accepts another known codec.
+            const codec = negotiateCodec(ctx.http.req.headers.accept);
+            ctx.http.res.setHeader("content-type", `${codec.contentType}; charset=utf-8`);
+            this.micro.send(ctx.http.res, ctx.http.statusCode, codec.encode(ctx.result));
         },
     },
 });
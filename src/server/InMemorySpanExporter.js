@@ -0,0 +1,18 @@
+// Keeps the finished spans in memory. Handy in unit tests.
+module.exports = require("stampit")({
+    name: "InMemorySpanExporter",
+
+    init() {
+        this.spans = [];
+    },
+
+    methods: {
+        export(span) {
+            this.spans.push(span);
+        },
+
+        reset() {
+            this.spans = [];
+        },
+    },
+});
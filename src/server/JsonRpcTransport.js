@@ -0,0 +1,233 @@
+const { isString, isPlainObject } = require("../util");
+const { json } = require("../codecs");
+
+// The JSON-RPC 2.0 error codes. See https://www.jsonrpc.org/specification#error_object
+// The business errors (the non-ALLSERVER codes) are regular results. They are not the protocol errors.
+const errorCodes = {
+    ALLSERVER_PROCEDURE_NOT_FOUND: -32601,
+    ALLSERVER_BAD_ARGUMENTS: -32602,
+    ALLSERVER_PROCEDURE_ERROR: -32603,
+    ALLSERVER_PROCEDURE_TIMEOUT: -32001,
+    ALLSERVER_RATE_LIMITED: -32002,
+    ALLSERVER_OVERLOADED: -32003,
+    ALLSERVER_SHUTTING_DOWN: -32004,
+    ALLSERVER_UNAUTHENTICATED: -32005,
+    ALLSERVER_FORBIDDEN: -32006,
+};
+
+const errorResponse = (id, code, message) => ({
+    jsonrpc: "2.0",
+    id: id === undefined ? null : id,
+    error: { code, message },
+});
+
+module.exports = require("./Transport").compose({
+    name: "JsonRpcTransport",
+
+    props: {
+        _http: require("http"),
+        _net: require("net"),
+        port: process.env.PORT,
+        // "http" - a POST request per message. "tcp" - the newline delimited messages over raw TCP or unix sockets.
+        protocol: "http",
+        // Bytes. The larger messages are rejected. Same as the HttpTransport limit.
+        maxMessageSize: 1024 * 1024,
+    },
+
+    init({ port, protocol, maxMessageSize }) {
+        if (port) this.port = port;
+        this.protocol = protocol || this.protocol;
+        this.maxMessageSize = maxMessageSize || this.maxMessageSize;
+        if (this.protocol !== "http" && this.protocol !== "tcp") {
+            throw new Error('JsonRpcTransport \'protocol\' must be either "http" or "tcp"');
+        }
+    },
+
+    methods: {
+        getName() {
+            return "jsonrpc";
+        },
+
+        /**
+         * @return {Promise<Object|Object[]|null>} The response, or null if there is nothing to reply (notifications).
+         */
+        async _handleMessage(defaultCtx, text, connection) {
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (err) {
+                return errorResponse(null, -32700, "Parse error");
+            }
+
+            if (!Array.isArray(payload)) return this._handleRequest(defaultCtx, payload, connection);
+
+            if (!payload.length) return errorResponse(null, -32600, "Invalid Request");
+            const responses = await Promise.all(payload.map((r) => this._handleRequest(defaultCtx, r, connection)));
+            const replies = responses.filter(Boolean);
+            return replies.length ? replies : null;
+        },
+
+        async _handleRequest(defaultCtx, request, connection) {
+            if (!isPlainObject(request) || request.jsonrpc !== "2.0" || !isString(request.method)) {
+                return errorResponse(request && request.id, -32600, "Invalid Request");
+            }
+
+            // By-name params are the arg. By-position params can have a single object only.
+            let arg = request.params;
+            if (arg === undefined) arg = {};
+            else if (Array.isArray(arg) && arg.length <= 1 && (!arg.length || isPlainObject(arg[0])))
+                arg = arg[0] || {};
+            if (!isPlainObject(arg)) return errorResponse(request.id, -32602, "Invalid params");
+
+            const ctx = { ...defaultCtx, arg, jsonrpc: { request, ...connection } };
+            try {
+                await ctx.allserver.handleCall(ctx);
+            } catch (err) {
+                return errorResponse(request.id, -32603, "Internal error");
+            }
+
+            // Notifications are never replied.
+            return "id" in request ? ctx.jsonrpc.response : null;
+        },
+
+        // Never throws. Anything unexpected is the "Internal error" reply.
+        async _respond(defaultCtx, text, connection) {
+            try {
+                return await this._handleMessage(defaultCtx, text, connection);
+            } catch (err) {
+                return errorResponse(null, -32603, "Internal error");
+            }
+        },
+
+        _serialize(response) {
+            try {
+                return json.encode(response);
+            } catch (err) {
+                // E.g. a circular reference in the result.
+                return json.encode(
+                    errorResponse(Array.isArray(response) ? null : response.id, -32603, "Internal error")
+                );
+            }
+        },
+
+        _startHttpServer(defaultCtx) {
+            this.server = this._http.createServer((req, res) => {
+                const send = (status, response) => {
+                    res.statusCode = status;
+                    if (response) res.setHeader("content-type", "application/json");
+                    res.end(response ? this._serialize(response) : undefined);
+                };
+                if (req.method !== "POST") return send(405, errorResponse(null, -32600, "Invalid Request"));
+
+                const chunks = [];
+                let size = 0;
+                req.on("data", (chunk) => {
+                    size += chunk.length;
+                    // Not buffering the rest of a too large message.
+                    if (size <= this.maxMessageSize) chunks.push(chunk);
+                });
+                req.on("end", () => {
+                    if (size > this.maxMessageSize) return send(413, errorResponse(null, -32600, "Request too large"));
+
+                    const text = Buffer.concat(chunks).toString("utf8");
+                    this._respond(defaultCtx, text, { req, res }).then((response) =>
+                        send(response ? 200 : 204, response)
+                    );
+                });
+            });
+        },
+
+        _startTcpServer(defaultCtx) {
+            this.server = this._net.createServer((socket) => {
+                let buffer = "";
+                socket.setEncoding("utf8");
+                const write = (response) => {
+                    if (response && socket.writable) socket.write(this._serialize(response) + "\n");
+                };
+                socket.on("data", (data) => {
+                    // Closing because of a too large message.
+                    if (!socket.writable) return;
+                    const lines = (buffer + data).split("\n");
+                    buffer = lines.pop();
+                    const tooLarge = (text) => Buffer.byteLength(text) > this.maxMessageSize;
+                    if (tooLarge(buffer) || lines.some(tooLarge)) {
+                        // Can't find where the next message starts. Closing the connection.
+                        write(errorResponse(null, -32600, "Request too large"));
+                        buffer = "";
+                        return socket.end();
+                    }
+
+                    for (const line of lines) {
+                        if (line.trim()) this._respond(defaultCtx, line, { socket }).then(write);
+                    }
+                });
+                socket.on("error", () => socket.destroy());
+            });
+        },
+
+        startServer(defaultCtx) {
+            if (this.protocol === "tcp") this._startTcpServer(defaultCtx);
+            else this._startHttpServer(defaultCtx);
+
+            // Tracking connections to be able to close them on stop.
+            this._sockets = new Set();
+            this.server.on("connection", (socket) => {
+                this._sockets.add(socket);
+                socket.on("close", () => this._sockets.delete(socket));
+            });
+
+            // The `port` can be a unix socket path too.
+            return new Promise((r) => this.server.listen(this.port, r));
+        },
+        stopServer({ force } = {}) {
+            return new Promise((r) => {
+                this.server.close(r);
+                for (const socket of this._sockets) {
+                    // The raw sockets are long living. Not waiting for the clients to disconnect.
+                    if (force) socket.destroy();
+                    else if (this.protocol === "tcp") socket.end();
+                }
+            });
+        },
+
+        getProcedureName(ctx) {
+            return ctx.jsonrpc.request.method;
+        },
+
+        isIntrospection(ctx) {
+            return this.getProcedureName(ctx) === "introspect";
+        },
+
+        getHeaders(ctx) {
+            // The raw sockets have no headers.
+            return ctx.jsonrpc.req ? ctx.jsonrpc.req.headers : {};
+        },
+
+        getRemoteAddress(ctx) {
+            return (ctx.jsonrpc.req ? ctx.jsonrpc.req.socket : ctx.jsonrpc.socket).remoteAddress;
+        },
+
+        setReplyHeader(ctx, name, value) {
+            if (ctx.jsonrpc.res) ctx.jsonrpc.res.setHeader(name, value);
+        },
+
+        reply(ctx) {
+            const { request } = ctx.jsonrpc;
+            // E.g. the introspection is disabled.
+            if (!ctx.result) {
+                ctx.jsonrpc.response = errorResponse(request.id, -32601, "Method not found");
+                return;
+            }
+
+            const code = ctx.result.code;
+            const isProtocolError = !ctx.result.success && isString(code) && code.startsWith("ALLSERVER_");
+            ctx.jsonrpc.response = isProtocolError
+                ? {
+                      jsonrpc: "2.0",
+                      id: request.id,
+                      error: { code: errorCodes[code] || -32000, message: ctx.result.message, data: ctx.result },
+                  }
+                : { jsonrpc: "2.0", id: request.id, result: ctx.result };
+        },
+    },
+});
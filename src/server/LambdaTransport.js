@@ -1,21 +1,32 @@
+const { isFunction } = require("../util");
+const { json, findCodec, negotiateCodec } = require("../codecs");
+
 module.exports = require("./Transport").compose({
     name: "LambdaTransport",
 
     props: {
         _mapProceduresToExports: false,
+        _exports: null,
+        // Time reserved to reply before the Lambda invocation times out. Milliseconds.
+        timeoutMargin: 100,
     },
 
-    init({ mapProceduresToExports }) {
+    init({ mapProceduresToExports, timeoutMargin }) {
         this._mapProceduresToExports = mapProceduresToExports || this._mapProceduresToExports;
+        this.timeoutMargin = timeoutMargin != null ? timeoutMargin : this.timeoutMargin;
     },
 
     methods: {
+        getName() {
+            return "lambda";
+        },
+
         async _deserializeRequest(ctx) {
             const body = ctx.lambda.event.body;
             let arg = ctx.lambda.query;
             try {
                 // If there is no body we will use request query (aka search params)
-                if (body) arg = JSON.parse(body);
+                if (body) arg = findCodec(this.getHeaders(ctx)["content-type"]).decode(body);
                 ctx.arg = arg;
                 return true;
             } catch (err) {
@@ -23,7 +34,29 @@ module.exports = require("./Transport").compose({
             }
         },
 
+        _isHealthRequest(ctx) {
+            const { health } = ctx.allserver;
+            const { event, path } = ctx.lambda;
+            // API Gateway REST API (v1) or HTTP API (v2) payloads.
+            const http = event.requestContext && event.requestContext.http;
+            const method = event.httpMethod || (http && http.method);
+            return Boolean(health) && method === "GET" && (path === health.path || path === health.readyPath);
+        },
+
+        async _handleHealthRequest(ctx) {
+            const { allserver } = ctx;
+            const isLiveness = ctx.lambda.path === allserver.health.path;
+            const report = await (isLiveness ? allserver.checkHealth() : allserver.checkReadiness());
+            ctx.lambda.resolve({
+                statusCode: report.success ? 200 : 503,
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify(report),
+            });
+        },
+
         async _handleRequest(ctx) {
+            if (this._isHealthRequest(ctx)) return this._handleHealthRequest(ctx);
+
             if (await this._deserializeRequest(ctx)) {
                 await ctx.allserver.handleCall(ctx);
             } else {
@@ -35,36 +68,46 @@ module.exports = require("./Transport").compose({
             }
         },
 
+        _mapExports(defaultCtx) {
+            const procedureNames = Object.keys(defaultCtx.allserver.getProcedures());
+            for (const procedureName of Object.keys(this._exports)) {
+                if (!procedureNames.includes(procedureName)) delete this._exports[procedureName];
+            }
+            for (const procedureName of procedureNames) {
+                if (this._exports[procedureName]) continue;
+                this._exports[procedureName] = async (event, context) =>
+                    new Promise((resolve) => {
+                        const path = "/" + procedureName;
+                        const query = { ...(event.queryStringParameters || {}) };
+                        const ctx = { ...defaultCtx, lambda: { event, context, resolve, path, query } };
+
+                        this._handleRequest(ctx);
+                    });
+            }
+        },
+
         startServer(defaultCtx) {
             if (this._mapProceduresToExports) {
-                const exports = {};
-                for (const procedureName of Object.keys(defaultCtx.allserver.procedures)) {
-                    exports[procedureName] = async (event) =>
-                        new Promise((resolve) => {
-                            const path = "/" + procedureName;
-                            const ctx = {
-                                ...defaultCtx,
-                                lambda: { event, resolve, path, query: { ...(event.queryStringParameters || {}) } },
-                            };
-
-                            this._handleRequest(ctx);
-                        });
-                }
-                return exports;
+                this._exports = {};
+                this._mapExports(defaultCtx);
+                return this._exports;
             }
 
-            return async (event) => {
+            return async (event, context) => {
                 return new Promise((resolve) => {
-                    const ctx = {
-                        ...defaultCtx,
-                        lambda: { event, resolve, path: event.path, query: { ...(event.queryStringParameters || {}) } },
-                    };
+                    const query = { ...(event.queryStringParameters || {}) };
+                    const ctx = { ...defaultCtx, lambda: { event, context, resolve, path: event.path, query } };
 
                     this._handleRequest(ctx);
                 });
             };
         },
 
+        updateProcedures(defaultCtx) {
+            // The same exports object is adjusted. It's the one the Lambda runtime was given.
+            if (this._exports) this._mapExports(defaultCtx);
+        },
+
         getProcedureName(ctx) {
             return ctx.lambda.path.substr(1);
         },
@@ -73,23 +116,70 @@ module.exports = require("./Transport").compose({
             return this.getProcedureName(ctx) === "";
         },
 
+        getHeaders(ctx) {
+            // API Gateway keeps the original header names case.
+            const headers = {};
+            for (const [name, value] of Object.entries(ctx.lambda.event.headers || {})) {
+                headers[name.toLowerCase()] = value;
+            }
+            return headers;
+        },
+
+        getRemoteAddress(ctx) {
+            const requestContext = ctx.lambda.event.requestContext || {};
+            // API Gateway REST API (v1) or HTTP API (v2) payloads.
+            if (requestContext.identity) return requestContext.identity.sourceIp;
+            if (requestContext.http) return requestContext.http.sourceIp;
+        },
+
+        setReplyHeader(ctx, name, value) {
+            ctx.lambda.headers = { ...ctx.lambda.headers, [name]: String(value) };
+        },
+
+        getCallTimeout(ctx) {
+            const context = ctx.lambda.context;
+            if (!context || !isFunction(context.getRemainingTimeInMillis)) return;
+            return Math.max(context.getRemainingTimeInMillis() - this.timeoutMargin, 1);
+        },
+
         prepareProcedureErrorReply(ctx) {
-            // Generic exception.
+            // Generic exception. The Allserver `statusCodes` option can change it per result code.
             ctx.lambda.statusCode = 500;
-
-            // nodejs assert() exception. In HTTP world this likely means 400 "Bad Request".
-            if (ctx.error.code === "ERR_ASSERTION") ctx.lambda.statusCode = 400;
         },
         prepareNotFoundReply(ctx) {
             ctx.lambda.statusCode = 404;
         },
+        prepareBadArgumentsReply(ctx) {
+            ctx.lambda.statusCode = 400;
+        },
+        prepareShuttingDownReply(ctx) {
+            ctx.lambda.statusCode = 503;
+        },
+        prepareProcedureTimeoutReply(ctx) {
+            ctx.lambda.statusCode = 504;
+        },
+        prepareOverloadedReply(ctx) {
+            ctx.lambda.statusCode = 503;
+        },
+        prepareRateLimitedReply(ctx) {
+            ctx.lambda.statusCode = 429;
+            ctx.lambda.headers = {
+                ...ctx.lambda.headers,
+                "retry-after": String(Math.ceil(ctx.result.retryAfter / 1000)),
+            };
+        },
+        prepareReplyStatus(ctx, { http }) {
+            if (http) ctx.lambda.statusCode = http;
+        },
 
         reply(ctx) {
             if (!ctx.lambda.statusCode) ctx.lambda.statusCode = 200;
+            // The plain JSON unless the caller accepts another known codec. Nothing to reply is the empty body.
+            const codec = ctx.result === undefined ? json : negotiateCodec(this.getHeaders(ctx).accept);
             ctx.lambda.resolve({
                 statusCode: ctx.lambda.statusCode,
-                headers: { "content-type": "application/json" },
-                body: JSON.stringify(ctx.result),
+                headers: { ...ctx.lambda.headers, "content-type": codec.contentType },
+                body: codec.encode(ctx.result),
             });
         },
     },
@@ -0,0 +1,36 @@
+module.exports = require("stampit")({
+    name: "MemoryStore",
+
+    props: {
+        // The least recently used entries are evicted above this size.
+        maxSize: 10000,
+    },
+
+    init({ maxSize }) {
+        this.maxSize = maxSize || this.maxSize;
+        this._map = new Map();
+    },
+
+    methods: {
+        async get(key) {
+            const entry = this._map.get(key);
+            if (!entry) return undefined;
+
+            this._map.delete(key);
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) return undefined;
+            // Re-inserting to make it the most recently used.
+            this._map.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttl) {
+            this._map.delete(key);
+            this._map.set(key, { value, expiresAt: ttl ? Date.now() + ttl : 0 });
+            if (this._map.size > this.maxSize) this._map.delete(this._map.keys().next().value);
+        },
+
+        async delete(key) {
+            this._map.delete(key);
+        },
+    },
+});
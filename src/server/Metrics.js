@@ -0,0 +1,159 @@
+const { isFunction } = require("../util");
+
+const escapeLabelValue = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+module.exports = require("stampit")({
+    name: "Metrics",
+
+    props: {
+        // Prepended to all the metric names.
+        prefix: "allserver_",
+        // The call duration histogram buckets. Seconds.
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        // The HttpTransport serves the metrics on `GET <path>`. Set to `null` to disable.
+        path: "/metrics",
+        // Serve the metrics on a dedicated port instead. Useful for the gRPC-only servers.
+        port: null,
+        contentType: "text/plain; version=0.0.4; charset=utf-8",
+    },
+
+    init({ prefix, buckets, path, port }) {
+        this.prefix = prefix != null ? prefix : this.prefix;
+        this.buckets = (buckets || this.buckets).slice().sort((a, b) => a - b);
+        this.path = path !== undefined ? path : this.path;
+        this.port = port || this.port;
+
+        this._calls = new Map();
+        this._durations = new Map();
+        this._inFlight = new Map();
+        this._middlewareErrors = new Map();
+        this._deprecatedCalls = new Map();
+    },
+
+    methods: {
+        _getCallLabels(ctx) {
+            let procedure = "not_found";
+            if (ctx.isIntrospection) procedure = "introspect";
+            else if (ctx.isBatch) procedure = "batch";
+            else if (isFunction(ctx.procedure)) procedure = ctx.procedureName;
+            // The unknown procedure names are not used as labels. Otherwise, anyone could explode the metrics size.
+            const transport = ctx.transport && isFunction(ctx.transport.getName) ? ctx.transport.getName() : "unknown";
+            return { procedure, transport };
+        },
+
+        _inc(map, labels, value = 1) {
+            const key = JSON.stringify(labels);
+            const entry = map.get(key) || { labels, value: 0 };
+            entry.value += value;
+            map.set(key, entry);
+        },
+
+        startCall(ctx) {
+            ctx.metrics = { startedAt: process.hrtime(), labels: this._getCallLabels(ctx) };
+            this._inc(this._inFlight, ctx.metrics.labels);
+        },
+
+        endCall(ctx) {
+            if (!ctx.metrics) return;
+            const { startedAt, labels } = ctx.metrics;
+            this._inc(this._inFlight, labels, -1);
+
+            // The batch request result is the array of the call results. Those are counted on their own.
+            const result = Array.isArray(ctx.result) ? { success: true, code: "SUCCESS" } : ctx.result || {};
+            this._inc(this._calls, { ...labels, code: String(result.code), success: String(Boolean(result.success)) });
+
+            const [seconds, nanoseconds] = process.hrtime(startedAt);
+            const duration = seconds + nanoseconds / 1e9;
+            const key = JSON.stringify(labels);
+            const histogram = this._durations.get(key) || {
+                labels,
+                count: 0,
+                sum: 0,
+                buckets: this.buckets.map(() => 0),
+            };
+            histogram.count += 1;
+            histogram.sum += duration;
+            this.buckets.forEach((le, i) => {
+                if (duration <= le) histogram.buckets[i] += 1;
+            });
+            this._durations.set(key, histogram);
+        },
+
+        countMiddlewareError(ctx, middlewareType) {
+            this._inc(this._middlewareErrors, { ...this._getCallLabels(ctx), type: middlewareType });
+        },
+
+        countDeprecatedCall(ctx) {
+            this._inc(this._deprecatedCalls, this._getCallLabels(ctx));
+        },
+
+        /**
+         * All the metrics as a plain object. E.g. for the transports without the HTTP endpoint.
+         */
+        snapshot() {
+            const list = (map) => Array.from(map.values()).map(({ labels, value }) => ({ ...labels, value }));
+            return {
+                calls: list(this._calls),
+                inFlight: list(this._inFlight),
+                middlewareErrors: list(this._middlewareErrors),
+                deprecatedCalls: list(this._deprecatedCalls),
+                durations: Array.from(this._durations.values()).map(({ labels, count, sum, buckets }) => {
+                    const result = { ...labels, count, sum, buckets: {} };
+                    this.buckets.forEach((le, i) => (result.buckets[le] = buckets[i]));
+                    return result;
+                }),
+            };
+        },
+
+        /**
+         * All the metrics in the Prometheus text exposition format.
+         */
+        toPrometheus() {
+            const lines = [];
+            const metric = (name, type, help, map) => {
+                lines.push(`# HELP ${this.prefix}${name} ${help}`, `# TYPE ${this.prefix}${name} ${type}`);
+                for (const { labels, value } of map.values()) {
+                    lines.push(`${this.prefix}${name}${formatLabels(labels)} ${value}`);
+                }
+            };
+
+            metric("calls_total", "counter", "Procedure calls by result code.", this._calls);
+            metric("calls_in_flight", "gauge", "Procedure calls currently running.", this._inFlight);
+            metric("middleware_errors_total", "counter", "Middlewares thrown exceptions.", this._middlewareErrors);
+            metric("deprecated_calls_total", "counter", "Calls of the deprecated procedures.", this._deprecatedCalls);
+
+            const name = `${this.prefix}call_duration_seconds`;
+            lines.push(`# HELP ${name} Procedure call duration.`, `# TYPE ${name} histogram`);
+            for (const { labels, count, sum, buckets } of this._durations.values()) {
+                this.buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+
+            return lines.join("\n") + "\n";
+        },
+
+        startServer() {
+            if (!this.port) return;
+            this.server = require("http").createServer((req, res) => {
+                res.setHeader("content-type", this.contentType);
+                res.end(this.toPrometheus());
+            });
+            return new Promise((resolve) => this.server.listen(this.port, resolve));
+        },
+
+        stopServer() {
+            if (!this.server) return;
+            const server = this.server;
+            this.server = null;
+            return new Promise((resolve) => server.close(resolve));
+        },
+    },
+});
@@ -0,0 +1,62 @@
+const toHrTime = (ms) => [Math.floor(ms / 1000), Math.round((ms % 1000) * 1e6)];
+
+/**
+ * Adapts any OpenTelemetry SpanExporter (e.g. OTLPTraceExporter from "@opentelemetry/exporter-trace-otlp-http")
+ * to the Allserver `tracing.exporter` interface. No OpenTelemetry dependencies required.
+ */
+module.exports = require("stampit")({
+    name: "OpenTelemetrySpanExporter",
+
+    props: {
+        // The OpenTelemetry SpanExporter.
+        exporter: null,
+        // The OpenTelemetry Resource. E.g. `new Resource({ "service.name": "users" })`
+        resource: null,
+    },
+
+    init({ exporter, resource }) {
+        this.exporter = exporter || this.exporter;
+        if (!this.exporter || typeof this.exporter.export !== "function") {
+            throw new Error("OpenTelemetry 'exporter' with the 'export' method is required");
+        }
+        this.resource = resource || this.resource || { attributes: { "service.name": "allserver" } };
+    },
+
+    methods: {
+        // Converts Allserver span to the OpenTelemetry ReadableSpan interface.
+        toReadableSpan(span) {
+            const spanContext = { traceId: span.traceId, spanId: span.spanId, traceFlags: parseInt(span.flags, 16) };
+            return {
+                name: span.name,
+                kind: { server: 1, client: 2 }[span.kind] || 0,
+                spanContext: () => spanContext,
+                parentSpanId: span.parentSpanId,
+                startTime: toHrTime(span.startTime),
+                endTime: toHrTime(span.endTime),
+                duration: toHrTime(span.endTime - span.startTime),
+                // OpenTelemetry status codes: 0 - unset, 1 - ok, 2 - error
+                status: { code: span.status.code === "OK" ? 1 : 2, message: span.status.message },
+                attributes: span.attributes,
+                links: [],
+                events: [],
+                ended: true,
+                resource: this.resource,
+                instrumentationLibrary: { name: "allserver" },
+                instrumentationScope: { name: "allserver" },
+                droppedAttributesCount: 0,
+                droppedEventsCount: 0,
+                droppedLinksCount: 0,
+            };
+        },
+
+        export(span) {
+            return new Promise((resolve, reject) => {
+                this.exporter.export([this.toReadableSpan(span)], (result) => {
+                    // OpenTelemetry ExportResultCode: 0 - success, 1 - failed
+                    if (result && result.code) reject(result.error || new Error("OpenTelemetry export failed"));
+                    else resolve();
+                });
+            });
+        },
+    },
+});
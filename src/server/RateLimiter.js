@@ -0,0 +1,107 @@
+const assert = require("assert");
+
+const { isFunction, isObject } = require("../util");
+
+const strategies = {
+    // Refills `limit` tokens evenly during the `interval`. Allows bursts of up to `limit` calls.
+    tokenBucket({ limit, interval }, state, now) {
+        const rate = limit / interval;
+        let tokens = limit;
+        if (state) tokens = Math.min(limit, state.tokens + (now - state.updatedAt) * rate);
+
+        if (tokens < 1) return { allowed: false, state: { tokens, updatedAt: now }, retryAfter: (1 - tokens) / rate };
+        return { allowed: true, state: { tokens: tokens - 1, updatedAt: now } };
+    },
+
+    // At most `limit` calls during any `interval`. Remembers the timestamps of the calls.
+    slidingWindow({ limit, interval }, state, now) {
+        const calls = (state || []).filter((time) => time > now - interval);
+
+        if (calls.length >= limit) return { allowed: false, state: calls, retryAfter: calls[0] + interval - now };
+        calls.push(now);
+        return { allowed: true, state: calls };
+    },
+};
+
+const callerKeys = {
+    ip: (ctx) => ctx.transport.getRemoteAddress(ctx),
+    auth: (ctx) => (isObject(ctx.auth) && ctx.auth ? ctx.auth.id : ctx.auth),
+    apiKey: (ctx, limiter) => (ctx.transport.getHeaders(ctx) || {})[limiter.apiKeyHeader.toLowerCase()],
+};
+
+module.exports = require("stampit")({
+    name: "RateLimiter",
+
+    props: {
+        // "tokenBucket" or "slidingWindow".
+        strategy: "tokenBucket",
+        // Calls per interval.
+        limit: 100,
+        // Milliseconds.
+        interval: 60000,
+        // "ip", "auth", "apiKey", or a function `(ctx) => String`.
+        key: "ip",
+        // Anything with the async `get(key)` and `set(key, value, ttl)` methods. E.g. a Redis backed object.
+        store: null,
+        apiKeyHeader: "x-api-key",
+    },
+
+    init({ strategy, limit, interval, key, store, apiKeyHeader }) {
+        this.strategy = strategy || this.strategy;
+        this.limit = limit || this.limit;
+        this.interval = interval || this.interval;
+        this.key = key || this.key;
+        this.store = store || this.store || require("./MemoryStore")();
+        this.apiKeyHeader = apiKeyHeader || this.apiKeyHeader;
+        this._locks = new Map();
+
+        this._validateOptions(this);
+    },
+
+    methods: {
+        _validateOptions({ strategy, limit, interval, key }) {
+            assert(strategies[strategy], `Unknown rate limit strategy '${strategy}'`);
+            assert(limit > 0 && interval > 0, "Rate limit 'limit' and 'interval' must be positive numbers");
+            assert(isFunction(key) || callerKeys[key], `Unknown rate limit key '${key}'`);
+        },
+
+        // Runs the `fn` after the previous calls with the same key finished.
+        _lock(key, fn) {
+            const run = (this._locks.get(key) || Promise.resolve()).then(fn);
+            const done = run.then(
+                () => {},
+                () => {}
+            );
+            this._locks.set(key, done);
+            done.then(() => {
+                if (this._locks.get(key) === done) this._locks.delete(key);
+            });
+            return run;
+        },
+
+        /**
+         * Counts the call against the limit.
+         * @param ctx {Object} The call context
+         * @param [overrides] {Object} The procedure own `rateLimit` options
+         * @return {Promise<{allowed: Boolean, retryAfter: Number}>} The `retryAfter` is milliseconds
+         */
+        async consume(ctx, overrides) {
+            const options = { strategy: this.strategy, limit: this.limit, interval: this.interval, key: this.key };
+            Object.assign(options, overrides);
+            if (overrides) this._validateOptions(options);
+
+            const callerKey = isFunction(options.key) ? options.key(ctx) : callerKeys[options.key](ctx, this);
+            const storeKey = `${options.strategy}:${ctx.procedureName}:${callerKey == null ? "" : callerKey}`;
+
+            // Otherwise, the concurrent calls would read the same state and overwrite each other's counts.
+            const result = await this._lock(storeKey, async () => {
+                const state = await this.store.get(storeKey);
+                const result = strategies[options.strategy](options, state, Date.now());
+                await this.store.set(storeKey, result.state, options.interval);
+                return result;
+            });
+
+            return { allowed: result.allowed, retryAfter: Math.ceil(result.retryAfter || 0) };
+        },
+    },
+});
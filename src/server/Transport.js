@@ -2,17 +2,49 @@ module.exports = require("stampit")({
     name: "Transport",
 
     methods: {
+        // Used as the metrics label.
+        getName() {
+            return "unknown";
+        },
+
         // async startServer(defaultCtx) {},
 
-        async stopServer() {},
+        async stopServer(/* { force } */) {},
+
+        // Called when the procedures were added, removed or replaced. The `defaultCtx` is same as in `startServer`.
+        updateProcedures(/* defaultCtx */) {},
 
         // getProcedureName(ctx) {},
 
         // isIntrospection(ctx) {},
 
+        getCallTimeout(/* ctx */) {},
+
+        // Lower cased request headers (or gRPC metadata). E.g. `{ authorization: "Bearer my-token" }`.
+        getHeaders(/* ctx */) {
+            return {};
+        },
+
+        getRemoteAddress(/* ctx */) {},
+
+        // The result property of the procedures returning non-result values. E.g. `{ success, code, message, getUser }`.
+        getResultKey(procedureName) {
+            return procedureName;
+        },
+
+        // E.g. to echo the request ID back to the caller.
+        setReplyHeader(/* ctx, name, value */) {},
+
         async prepareNotFoundReply(/* ctx */) {},
         async prepareProcedureErrorReply(/* ctx */) {},
+        async prepareBadArgumentsReply(/* ctx */) {},
+        async prepareShuttingDownReply(/* ctx */) {},
+        async prepareProcedureTimeoutReply(/* ctx */) {},
+        async prepareRateLimitedReply(/* ctx */) {},
+        async prepareOverloadedReply(/* ctx */) {},
         async prepareIntrospectionReply(/* ctx */) {},
+        // Called with the `{ http, grpc }` statuses mapped from the result code or given by the thrown AllserverError.
+        async prepareReplyStatus(/* ctx, { http, grpc } */) {},
 
         // reply(/* ctx */) {},
     },
@@ -0,0 +1,32 @@
+const { isFunction } = require("../util");
+
+/**
+ * Finds the credentials in the request headers. Only the types the `auth` option has verifiers for are looked up.
+ * @param headers {Object} Lower cased request headers (or gRPC metadata)
+ * @param auth {Object} The Allserver `auth` option
+ * @return {{type: String, value: *}|null} E.g. `{ type: "basic", value: { username, password } }`
+ */
+module.exports = function parseCredentials(headers, auth) {
+    const header = (name) => (headers[name] != null ? String(headers[name]) : "");
+
+    const [scheme, ...rest] = header("authorization").trim().split(/\s+/);
+    const param = rest.join(" ");
+    if (param && /^bearer$/i.test(scheme) && isFunction(auth.bearer)) {
+        return { type: "bearer", value: param };
+    }
+    if (param && /^basic$/i.test(scheme) && isFunction(auth.basic)) {
+        const decoded = Buffer.from(param, "base64").toString();
+        const index = decoded.indexOf(":");
+        if (index >= 0) {
+            return {
+                type: "basic",
+                value: { username: decoded.substr(0, index), password: decoded.substr(index + 1) },
+            };
+        }
+    }
+
+    const apiKey = header((auth.apiKeyHeader || "x-api-key").toLowerCase());
+    if (apiKey && isFunction(auth.apiKey)) return { type: "apiKey", value: apiKey };
+
+    return null;
+};
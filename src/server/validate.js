@@ -0,0 +1,88 @@
+const { isString, isFunction, isPlainObject } = require("../util");
+
+// A tiny subset of the JSON Schema. Enough to check what's usually checked at the top of a procedure.
+const typeCheckers = {
+    string: isString,
+    number: (v) => typeof v === "number" && Number.isFinite(v),
+    integer: Number.isInteger,
+    boolean: (v) => typeof v === "boolean",
+    object: isPlainObject,
+    array: Array.isArray,
+    null: (v) => v === null,
+};
+
+/**
+ * Validates the value against the JSON-Schema-like object.
+ * Supported keywords: type, enum, const, properties, required, additionalProperties, items,
+ * minimum, maximum, minLength, maxLength, pattern, minItems, maxItems.
+ * @param schema {Object} The JSON-Schema-like object
+ * @param value {*} The value to check
+ * @param [path="arg"] {String} The human readable path to the value
+ * @param [errors=[]] {Array} The array to push the errors to
+ * @return {Array<{path: String, message: String}>} Empty array if the value is valid
+ */
+module.exports = function validate(schema, value, path = "arg", errors = []) {
+    if (!isPlainObject(schema)) return errors;
+
+    const error = (message) => errors.push({ path, message });
+
+    if (value === undefined) return errors; // Nothing to check. The "required" keyword of the parent takes care of it.
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const typeOk = types.some((type) => isFunction(typeCheckers[type]) && typeCheckers[type](value));
+        if (!typeOk) {
+            error(`must be ${types.join(" or ")}`);
+            return errors; // no need to check further
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        error(`must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+    }
+    if ("const" in schema && schema.const !== value) error(`must be ${JSON.stringify(schema.const)}`);
+
+    if (typeof value === "number") {
+        if (schema.minimum != null && value < schema.minimum) error(`must be >= ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) error(`must be <= ${schema.maximum}`);
+    }
+
+    if (isString(value)) {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            error(`must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            error(`must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) error(`must match pattern ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            error(`must have at most ${schema.maxItems} items`);
+        }
+        if (isPlainObject(schema.items)) {
+            value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = isPlainObject(schema.properties) ? schema.properties : {};
+        for (const key of [].concat(schema.required || [])) {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: "is required" });
+        }
+        for (const [key, propSchema] of Object.entries(properties)) {
+            validate(propSchema, value[key], `${path}.${key}`, errors);
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in properties)) errors.push({ path: `${path}.${key}`, message: "is not allowed" });
+            }
+        }
+    }
+
+    return errors;
+};
@@ -0,0 +1,35 @@
+// The W3C Trace Context helpers. See https://www.w3.org/TR/trace-context/
+const crypto = require("crypto");
+
+const TRACEPARENT_REGEXP = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+module.exports = {
+    createTraceId: () => crypto.randomBytes(16).toString("hex"),
+    createSpanId: () => crypto.randomBytes(8).toString("hex"),
+
+    /**
+     * @param traceparent {String} E.g. "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01"
+     * @return {{traceId: String, parentSpanId: String, flags: String}|null} null if malformed
+     */
+    parseTraceparent(traceparent) {
+        const match = TRACEPARENT_REGEXP.exec(
+            String(traceparent || "")
+                .trim()
+                .toLowerCase()
+        );
+        if (!match) return null;
+        const [, version, traceId, parentSpanId, flags] = match;
+        if (version === "ff" || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) return null;
+        return { traceId, parentSpanId, flags };
+    },
+
+    /**
+     * The headers (or gRPC metadata) to pass the trace to the next service.
+     * @param trace {{traceId: String, spanId: String, flags: String, tracestate: String}}
+     */
+    getTraceHeaders(trace) {
+        const headers = { traceparent: `00-${trace.traceId}-${trace.spanId}-${trace.flags || "01"}` };
+        if (trace.tracestate) headers.tracestate = trace.tracestate;
+        return headers;
+    },
+};
@@ -1,8 +1,91 @@
 const is = (o, type) => typeof o === type;
+const isPlainObject = (o) => o && o.constructor === Object;
+
+// "admin/*" matches "admin/ban" but not "admin/users/ban". The "admin/**" matches both.
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp("^" + escaped.replace(/\*\*|\*/g, (m) => (m === "**" ? ".*" : "[^/]*")) + "$");
+}
+
 module.exports = {
     isBoolean: (o) => is(o, "boolean"),
     isString: (o) => is(o, "string"),
+    isNumber: (o) => is(o, "number"),
     isFunction: (o) => is(o, "function"),
     isObject: (o) => is(o, "object"),
-    isPlainObject: (o) => o && o.constructor === Object,
+    isPlainObject,
+    // Both "Users" gRPC service name and "users" procedures namespace become "users". Same for "AdminUsers" and "admin/users".
+    normaliseGrpcServiceName: (name) => name.replace(/[^a-z0-9]/gi, "").toLowerCase(),
+    /**
+     * Checks the middleware `only` property against the call. It can be a procedure name, a glob pattern, a RegExp,
+     * an array of those, or a predicate function `(ctx) => Boolean`.
+     * Names and patterns never match introspection calls.
+     */
+    isMiddlewareApplicable(middleware, ctx) {
+        const only = middleware.only;
+        if (only == null) return true;
+        if (is(only, "function")) return Boolean(only(ctx));
+        if (ctx.isIntrospection) return false;
+
+        const name = ctx.procedureName || "";
+        return []
+            .concat(only)
+            .some((pattern) =>
+                pattern instanceof RegExp ? pattern.test(name) : globToRegExp(String(pattern)).test(name)
+            );
+    },
+    // JSON.stringify() with the object keys sorted. The `{a:1, b:2}` and `{b:2, a:1}` become the same string.
+    stableStringify: (value) =>
+        JSON.stringify(value, (key, v) =>
+            isPlainObject(v)
+                ? Object.keys(v)
+                      .sort()
+                      .reduce((sorted, k) => Object.assign(sorted, { [k]: v[k] }), {})
+                : v
+        ),
+    createId() {
+        const crypto = require("crypto");
+        // crypto.randomUUID() is Node.js >= 14.17
+        return is(crypto.randomUUID, "function") ? crypto.randomUUID() : crypto.randomBytes(16).toString("hex");
+    },
+    // The "getUser@2" is the version "2" of the "getUser" procedure.
+    splitProcedureVersion(procedureName) {
+        const match = /^(.+)@([^@/]+)$/.exec(procedureName);
+        return match ? [match[1], match[2]] : [procedureName, undefined];
+    },
+    // The "1.10" is greater than "1.9". Non-numeric versions are compared as strings.
+    compareVersions(a, b) {
+        const pa = String(a).split(".");
+        const pb = String(b).split(".");
+        for (let i = 0; i < Math.max(pa.length, pb.length); i += 1) {
+            const x = pa[i] || "0";
+            const y = pb[i] || "0";
+            const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+            if (diff) return diff;
+        }
+        return 0;
+    },
+    createAbortController() {
+        if (typeof AbortController === "function") return new AbortController();
+
+        // Node.js < 15 does not have AbortController. Mimicking its interface.
+        const emitter = new (require("events").EventEmitter)();
+        const signal = {
+            aborted: false,
+            onabort: null,
+            addEventListener: (type, listener) => emitter.on(type, listener),
+            removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+        };
+        return {
+            signal,
+            abort(reason) {
+                if (signal.aborted) return;
+                signal.aborted = true;
+                signal.reason = reason;
+                const event = { type: "abort", target: signal };
+                if (is(signal.onabort, "function")) signal.onabort(event);
+                emitter.emit("abort", event);
+            },
+        };
+    },
 };
@@ -56,6 +56,13 @@ describe("AllserverClient", () => {
             assert(client[p].transport._grpc); // duck typing
         });
 
+        it("should work with jsonrpc", () => {
+            const client = AllserverClient({ uri: "jsonrpc://bla" });
+            assert(client[p].transport.fetch); // duck typing
+            const tcpClient = AllserverClient({ uri: "jsonrpc+tcp://bla" });
+            assert(tcpClient[p].transport._net); // duck typing
+        });
+
         it("should work with third party added transports supported", () => {
             const client = AllserverClient({ uri: "void://bla" });
             assert.strictEqual(client[p].transport.uri, "void://bla");
@@ -172,6 +179,137 @@ describe("AllserverClient", () => {
             assert.strictEqual(result.error.message, "Cannot reach server");
         });
 
+        it("should retry unreachable calls with the same idempotency key", async () => {
+            const keys = [];
+            const MockedTransport = VoidClientTransport.methods({
+                call(ctx) {
+                    keys.push(ctx.idempotencyKey);
+                    if (keys.length < 3) return Promise.reject(new Error("Cannot reach server"));
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport(), retries: 2, retryDelay: 1 });
+
+            const result = await client.call("foo", {});
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(keys.length, 3);
+            assert(keys[0]);
+            assert.strictEqual(new Set(keys).size, 1);
+
+            // Every call gets its own key
+            await client.call("foo", {});
+            assert.notStrictEqual(keys[3], keys[0]);
+        });
+
+        it("should pass the current server call trace and request ID to the transport", async function () {
+            if (!require("async_hooks").AsyncLocalStorage) this.skip();
+
+            const ctxs = [];
+            const MockedTransport = VoidClientTransport.methods({
+                call(ctx) {
+                    ctxs.push(ctx);
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport() });
+            const trace = { traceId: "0af7651916cd43dd8448eb211c80319c", spanId: "b7ad6b7169203331", flags: "01" };
+
+            await client.call("foo", {});
+            const serverCtx = { trace, requestId: "my-request-id" };
+            await require("../../src/currentCall").runWithCall(serverCtx, () => client.call("foo", {}));
+
+            assert.strictEqual(ctxs[0].trace, undefined);
+            assert.strictEqual(ctxs[0].requestId, undefined);
+            assert.strictEqual(ctxs[1].trace, trace);
+            assert.strictEqual(ctxs[1].requestId, "my-request-id");
+        });
+
+        it("should redact the error results", async () => {
+            let redacted;
+            const MockedTransport = VoidClientTransport.methods({
+                call() {
+                    const err = new Error("Card 4111111111111111 declined");
+                    err.code = "DECLINED";
+                    return Promise.reject(err);
+                },
+            });
+            const client = AllserverClient({
+                transport: MockedTransport(),
+                redact: { paths: ["card.cvc"], values: [/\b\d{13,19}\b/] },
+                before(ctx) {
+                    redacted = ctx.redacted(ctx.arg);
+                },
+            });
+
+            const result = await client.call("pay", { card: { number: "4111111111111111", cvc: "123" } });
+
+            assert.deepStrictEqual(redacted, { card: { number: "[REDACTED]", cvc: "[REDACTED]" } });
+            assert.strictEqual(result.code, "DECLINED");
+            assert.strictEqual(result.message, "Card [REDACTED] declined");
+            assert.strictEqual(result.error.message, "Card [REDACTED] declined");
+        });
+
+        it("should batch the calls made in the same tick", async () => {
+            const batches = [];
+            let singleCalls = 0;
+            const MockedTransport = VoidClientTransport.methods({
+                call() {
+                    singleCalls += 1;
+                    return { success: true, code: "OK", message: "Single" };
+                },
+                callBatch(ctxs) {
+                    batches.push(ctxs.map((ctx) => ctx.procedureName));
+                    return ctxs.map((ctx) => ({ success: true, code: "OK", message: ctx.arg.n }));
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport(), batch: { maxSize: 2 } });
+
+            const results = await Promise.all([1, 2, 3].map((n) => client.call("foo" + n, { n })));
+            const single = await client.call("bar", {});
+
+            assert.deepStrictEqual(
+                results.map((r) => r.message),
+                [1, 2, "Single"]
+            );
+            // The third call did not fit the batch. There was nothing to batch it with.
+            assert.deepStrictEqual(batches, [["foo1", "foo2"]]);
+            assert.strictEqual(single.message, "Single");
+            assert.strictEqual(singleCalls, 2);
+        });
+
+        it("should fail all the batched calls if the batch fails", async () => {
+            const MockedTransport = VoidClientTransport.methods({
+                callBatch: () => [{ success: true, code: "OK", message: "Only one" }],
+            });
+            const client = AllserverClient({ transport: MockedTransport(), batch: true });
+
+            const results = await Promise.all([client.call("foo", {}), client.call("bar", {})]);
+
+            for (const result of results) {
+                assert.strictEqual(result.success, false);
+                assert.strictEqual(result.code, "ALLSERVER_CLIENT_MALFORMED_BATCH_REPLY");
+            }
+        });
+
+        it("should not retry server replied errors", async () => {
+            let calls = 0;
+            const MockedTransport = VoidClientTransport.methods({
+                call() {
+                    calls += 1;
+                    const err = new Error("Nope");
+                    err.code = "NOPE";
+                    return Promise.reject(err);
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport(), retries: 2, idempotencyKeys: false });
+
+            const result = await client.call("foo", {});
+
+            assert.strictEqual(result.code, "NOPE");
+            assert.strictEqual(calls, 1);
+        });
+
         it("should not throw if neverThrow enabled and the method is not present", async () => {
             const MockedTransport = VoidClientTransport.methods({
                 call: () => Promise.reject(new Error("Shit happens too")),
@@ -200,6 +338,51 @@ describe("AllserverClient", () => {
         });
     });
 
+    describe("namespaces", () => {
+        it("should call namespaced procedures as nested methods", async () => {
+            const called = [];
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    return {
+                        success: true,
+                        code: "OK",
+                        message: "Ok",
+                        procedures: JSON.stringify({ "users/create": "function", "users/admin/ban": "function" }),
+                    };
+                },
+                async call({ procedureName, arg }) {
+                    called.push(procedureName);
+                    return { success: true, code: "CALLED", message: "Called", arg };
+                },
+            });
+
+            const client = AllserverClient({ transport: MockedTransport() });
+            let result = await client.users.create({ a: 1 });
+            assert.deepStrictEqual(result, { success: true, code: "CALLED", message: "Called", arg: { a: 1 } });
+            result = await client.users.admin.ban({ b: 2 });
+            assert.deepStrictEqual(result, { success: true, code: "CALLED", message: "Called", arg: { b: 2 } });
+            assert.strictEqual(Reflect.has(client, "users/create"), true);
+            assert.deepStrictEqual(called, ["users/create", "users/admin/ban"]);
+
+            result = await client.users.unexist();
+            assert.strictEqual(result.code, "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND");
+            assert.strictEqual(result.message, "Procedure 'users/unexist' not found via introspection");
+        });
+
+        it("should call namespaced procedures without introspection", async () => {
+            const MockedTransport = VoidClientTransport.methods({
+                async call({ procedureName }) {
+                    return { success: true, code: "CALLED", message: procedureName };
+                },
+            });
+
+            const client = AllserverClient({ transport: MockedTransport(), autoIntrospect: false });
+            const result = await client.billing.charge();
+            assert.deepStrictEqual(result, { success: true, code: "CALLED", message: "billing/charge" });
+            assert.strictEqual(client.billing.then, undefined, "Namespaces must not be thenable");
+        });
+    });
+
     describe("nameMapper", () => {
         it("should map and filter names", async () => {
             const MockedTransport = VoidClientTransport.methods({
@@ -425,6 +608,109 @@ describe("AllserverClient", () => {
             });
         });
 
+        describe("'around'", () => {
+            it("should wrap the transport call", async () => {
+                const events = [];
+                const MockedTransport = VoidClientTransport.methods({
+                    async call({ procedureName }) {
+                        events.push("call");
+                        return { success: true, code: "CALLED", message: procedureName };
+                    },
+                });
+                const DefaultedAllserverClient = AllserverClient.defaults({
+                    async around(ctx, next) {
+                        events.push("default start");
+                        await next();
+                        events.push("default end");
+                    },
+                });
+                const client = DefaultedAllserverClient({
+                    transport: MockedTransport(),
+                    autoIntrospect: false,
+                    before: () => events.push("before") && undefined,
+                    after: () => events.push("after") && undefined,
+                    async around(ctx, next) {
+                        assert.strictEqual(this, client, "The `this` context must be the client itself");
+                        events.push("start");
+                        const result = await next();
+                        events.push("end");
+                        return { ...result, wrapped: true };
+                    },
+                });
+
+                const result = await client.foo();
+
+                assert.deepStrictEqual(events, [
+                    "before",
+                    "start",
+                    "default start",
+                    "call",
+                    "default end",
+                    "end",
+                    "after",
+                ]);
+                assert.deepStrictEqual(result, { success: true, code: "CALLED", message: "foo", wrapped: true });
+            });
+
+            it("should handle rejections from 'around'", async () => {
+                const err = new Error("'around' is throwing");
+                const client = AllserverClient({
+                    transport: VoidClientTransport(),
+                    around() {
+                        throw err;
+                    },
+                    callIntrospectedProceduresOnly: false,
+                });
+                const result = await client.foo();
+                assert.deepStrictEqual(result, {
+                    success: false,
+                    code: "ALLSERVER_CLIENT_MIDDLEWARE_ERROR",
+                    message: "The 'around' middleware error while calling 'foo' procedure",
+                    error: err,
+                });
+            });
+
+            it("should throw from 'around' if neverThrow=false", async () => {
+                const around = () => {
+                    throw new Error("around threw");
+                };
+                await assert.rejects(
+                    AllserverClient({ transport: VoidClientTransport(), neverThrow: false, around }).call(),
+                    /around threw/
+                );
+            });
+        });
+
+        describe("scoped", () => {
+            it("should call middlewares for matching procedures only", async () => {
+                const called = [];
+                const byGlob = () => called.push("byGlob") && undefined;
+                byGlob.only = "users/*";
+                const byPredicate = async (ctx, next) => {
+                    called.push("byPredicate");
+                    await next();
+                };
+                byPredicate.only = (ctx) => ctx.procedureName === "foo";
+                const client = AllserverClient({
+                    transport: VoidClientTransport(),
+                    autoIntrospect: false,
+                    before: byGlob,
+                    around: byPredicate,
+                });
+
+                await client.users.create();
+                assert.deepStrictEqual(called, ["byGlob"]);
+
+                called.length = 0;
+                await client.foo();
+                assert.deepStrictEqual(called, ["byPredicate"]);
+
+                called.length = 0;
+                await client.bar();
+                assert.deepStrictEqual(called, []);
+            });
+        });
+
         describe("'before'+'after'", () => {
             it("should call 'after' even if 'before' throws", async () => {
                 let afterCalled = false;
@@ -466,6 +752,150 @@ describe("AllserverClient", () => {
         });
     });
 
+    describe("versioning", () => {
+        it("should pass the procedure version to the transport", async () => {
+            const calls = [];
+            const MockedTransport = VoidClientTransport.methods({
+                async call({ procedureName, procedureVersion }) {
+                    calls.push([procedureName, procedureVersion]);
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport(), versions: { getUser: 2 } });
+
+            await client.call("getUser@1");
+            await client.call("getUser");
+            await client.call("listUsers");
+
+            assert.deepStrictEqual(calls, [
+                ["getUser", "1"],
+                ["getUser", "2"],
+                ["listUsers", undefined],
+            ]);
+        });
+
+        it("should add the unversioned methods from introspection", async () => {
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    const procedures = JSON.stringify({ "getUser@1": "function", "getUser@2": "function" });
+                    return { success: true, code: "OK", message: "Ok", procedures };
+                },
+                async call() {
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport({ uri: "void://very-unique-address-8" }) });
+
+            assert.strictEqual((await client.getUser()).code, "OK");
+            assert(Reflect.has(client, "getUser@1"));
+            assert(Reflect.has(client, "getUser@2"));
+        });
+
+        it("should warn once per deprecated procedure", async () => {
+            const warnings = [];
+            const MockedTransport = VoidClientTransport.methods({
+                async call() {
+                    return { success: true, code: "OK", message: "Ok", deprecated: "Use getUser@2" };
+                },
+            });
+            const client = AllserverClient({
+                transport: MockedTransport(),
+                logger: { warn: (...args) => warnings.push(args) },
+            });
+
+            await client.call("getUser@1");
+            await client.call("getUser@1");
+            await client.call("listUsers");
+
+            assert.deepStrictEqual(warnings, [
+                ["ALLSERVER_CLIENT_DEPRECATED_PROCEDURE", "getUser@1: Use getUser@2"],
+                ["ALLSERVER_CLIENT_DEPRECATED_PROCEDURE", "listUsers: Use getUser@2"],
+            ]);
+        });
+    });
+
+    describe("events", () => {
+        it("should emit the call and introspection events", async () => {
+            const events = [];
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    return {
+                        success: true,
+                        code: "OK",
+                        message: "Ok",
+                        procedures: JSON.stringify({ foo: "function" }),
+                    };
+                },
+                async call(ctx) {
+                    if (ctx.procedureName === "throws") throw new Error("Cannot reach server");
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({
+                transport: MockedTransport({ uri: "void://very-unique-address-7" }),
+                callIntrospectedProceduresOnly: false,
+                before(ctx) {
+                    if (ctx.procedureName === "bad") throw new Error("Bad middleware");
+                },
+            });
+            const eventNames = ["call:start", "call:end", "procedure:error", "middleware:error", "introspection"];
+            for (const eventName of eventNames) {
+                client.on(eventName, ({ error, ...event }) => {
+                    delete event.duration;
+                    events.push([eventName, event, error && error.message]);
+                });
+            }
+
+            await client.foo();
+            await client.throws();
+            await client.bad();
+
+            const uri = "void://very-unique-address-7";
+            const info = (procedureName) => ({ procedureName, uri, requestId: undefined });
+            const unreachable = "ALLSERVER_CLIENT_PROCEDURE_UNREACHABLE";
+            assert.deepStrictEqual(events, [
+                ["introspection", { uri, success: true, code: "OK" }, undefined],
+                ["call:start", info("foo"), undefined],
+                ["call:end", { ...info("foo"), code: "OK", success: true }, undefined],
+                ["call:start", info("throws"), undefined],
+                ["procedure:error", info("throws"), "Cannot reach server"],
+                ["call:end", { ...info("throws"), code: unreachable, success: false }, undefined],
+                ["call:start", info("bad"), undefined],
+                ["middleware:error", { ...info("bad"), middlewareType: "before" }, "Bad middleware"],
+                ["call:end", { ...info("bad"), code: "ALLSERVER_CLIENT_MIDDLEWARE_ERROR", success: false }, undefined],
+            ]);
+        });
+
+        it("should isolate the listeners", async () => {
+            const logged = [];
+            const MockedTransport = VoidClientTransport.methods({
+                async call() {
+                    return { success: true, code: "OK", message: "Ok" };
+                },
+            });
+            const client = AllserverClient({
+                transport: MockedTransport(),
+                logger: { error: (...args) => logged.push(args) },
+            });
+            let calls = 0;
+            const listener = () => {
+                calls += 1;
+                throw new Error("Listener error");
+            };
+            client.on("call:end", listener);
+
+            const result = await client.call("foo");
+            client.off("call:end", listener);
+            await client.call("foo");
+
+            assert.strictEqual(result.code, "OK");
+            assert.strictEqual(calls, 1);
+            assert.strictEqual(logged.length, 1);
+            assert.strictEqual(logged[0][0], "ALLSERVER_CLIENT_EVENT_LISTENER_ERROR");
+            assert.deepStrictEqual(logged[0][2], { eventName: "call:end" });
+        });
+    });
+
     describe("autoIntrospect", () => {
         it("should introspect and add methods before call", async () => {
             const MockedTransport = VoidClientTransport.methods({
@@ -491,6 +921,28 @@ describe("AllserverClient", () => {
             assert.deepStrictEqual(result, { success: true, code: "CALLED_A", message: "A is good", b: 42 });
         });
 
+        it("should ignore introspection details", async () => {
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    return {
+                        success: true,
+                        code: "OK",
+                        message: "Ok",
+                        procedures: JSON.stringify({ foo: "function" }),
+                        details: JSON.stringify({ foo: { description: "Foo", tags: ["bar"] } }),
+                    };
+                },
+                async call() {
+                    return { success: true, code: "CALLED_A", message: "A is good" };
+                },
+            });
+
+            const client = AllserverClient({ transport: MockedTransport() });
+            const result = await client.foo({ a: 1 });
+            assert.strictEqual(Reflect.has(client, "foo"), true);
+            assert.deepStrictEqual(result, { success: true, code: "CALLED_A", message: "A is good" });
+        });
+
         it("should attempt calling if introspection fails", async () => {
             const MockedTransport = VoidClientTransport.methods({
                 introspect() {
@@ -578,6 +1030,56 @@ describe("AllserverClient", () => {
             assert.strictEqual(introspectionCalls, 1);
         });
 
+        it("should re-introspect if the server procedures changed since", async () => {
+            let procedures = { foo: "function" };
+            let introspectionCalls = 0;
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    introspectionCalls += 1;
+                    return {
+                        success: true,
+                        code: "OK",
+                        message: "Ok",
+                        procedures: JSON.stringify(procedures),
+                        version: String(introspectionCalls),
+                    };
+                },
+                async call(ctx) {
+                    return { success: true, code: "CALLED", message: ctx.procedureName };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport({ uri: "void://very-unique-address-5" }) });
+
+            assert.strictEqual((await client.foo()).message, "foo");
+            assert.strictEqual((await client.bar()).code, "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND");
+            assert.strictEqual(introspectionCalls, 2);
+
+            procedures = { bar: "function" };
+            assert.strictEqual((await client.bar()).message, "bar");
+            assert.strictEqual(introspectionCalls, 3);
+            assert.strictEqual(Reflect.has(client, "foo"), false); // removed server side
+        });
+
+        it("should not re-introspect servers without procedures version", async () => {
+            let introspectionCalls = 0;
+            const MockedTransport = VoidClientTransport.methods({
+                async introspect() {
+                    introspectionCalls += 1;
+                    return {
+                        success: true,
+                        code: "OK",
+                        message: "Ok",
+                        procedures: JSON.stringify({ foo: "function" }),
+                    };
+                },
+            });
+            const client = AllserverClient({ transport: MockedTransport({ uri: "void://very-unique-address-6" }) });
+
+            assert.strictEqual((await client.bar()).code, "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND");
+            assert.strictEqual((await client.bar()).code, "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND");
+            assert.strictEqual(introspectionCalls, 1);
+        });
+
         it("should re-introspect failed introspections", async () => {
             let introspectionCalls = 0;
             const MockedTransport = VoidClientTransport.methods({
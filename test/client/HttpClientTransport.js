@@ -40,5 +40,76 @@ describe("HttpClientTransport", () => {
             assert(ctx.http.response instanceof Response);
             assert.deepStrictEqual(result, { success: true, code: "OK", message: "called" });
         });
+
+        it("should send plain JSON until the server replies the extended JSON", async () => {
+            const { Response } = require("node-fetch");
+            const { codecs } = require("../../src");
+            const requests = [];
+            const MockedTransport = HttpClientTransport.props({
+                async fetch(uri, { headers, body }) {
+                    requests.push([headers["content-type"], headers.accept, body]);
+                    return new Response(codecs.extendedJson.encode({ success: true, at: new Date(1) }), {
+                        headers: { "content-type": "application/vnd.allserver+json; charset=utf-8" },
+                    });
+                },
+            });
+            const transport = MockedTransport({ uri: "http://localhost" });
+
+            for (let i = 0; i < 2; i += 1) {
+                const ctx = transport.createCallContext({ procedureName: "foo", arg: { at: new Date(0) } });
+                const result = await transport.call(ctx);
+                assert.deepStrictEqual(result, { success: true, at: new Date(1) });
+            }
+
+            const accept = "application/vnd.allserver+json, application/json;q=0.9";
+            assert.deepStrictEqual(requests, [
+                [undefined, accept, '{"at":"1970-01-01T00:00:00.000Z"}'],
+                ["application/vnd.allserver+json", accept, '{"at":{"$date":"1970-01-01T00:00:00.000Z"}}'],
+            ]);
+        });
+
+        it("should keep sending plain JSON to the plain JSON servers", async () => {
+            const { Response } = require("node-fetch");
+            const bodies = [];
+            const MockedTransport = HttpClientTransport.props({
+                async fetch(uri, { body }) {
+                    bodies.push(body);
+                    return new Response('{"success":true}', { headers: { "content-type": "application/json" } });
+                },
+            });
+            const transport = MockedTransport({ uri: "http://localhost" });
+
+            for (let i = 0; i < 2; i += 1) {
+                await transport.call(transport.createCallContext({ procedureName: "foo", arg: { note: undefined } }));
+            }
+
+            assert.deepStrictEqual(bodies, ["{}", "{}"]);
+        });
+
+        it("should always use the given codec", async () => {
+            const { Response } = require("node-fetch");
+            const { codecs } = require("../../src");
+            let headers;
+            const MockedTransport = HttpClientTransport.props({
+                async fetch(uri, options) {
+                    headers = options.headers;
+                    return new Response('{"success":true}', { headers: { "content-type": "application/json" } });
+                },
+            });
+            const transport = MockedTransport({ uri: "http://localhost", codec: codecs.extendedJson });
+
+            await transport.call(transport.createCallContext({ procedureName: "foo", arg: {} }));
+
+            assert.strictEqual(headers["content-type"], "application/vnd.allserver+json");
+        });
+
+        it("should use the plain JSON codec if asked", async () => {
+            const { codecs } = require("../../src");
+            const transport = HttpClientTransport({ uri: "http://localhost", codec: codecs.json });
+
+            const ctx = transport.createCallContext({ procedureName: "foo" });
+
+            assert.strictEqual(ctx.http.headers.accept, "application/json");
+        });
     });
 });
@@ -82,8 +82,10 @@ let {
     HttpTransport,
     GrpcTransport,
     LambdaTransport,
+    JsonRpcTransport,
     AllserverClient,
     GrpcClientTransport,
+    AllserverError,
 } = require("../../src");
 Allserver = Allserver.props({ logger: { error() {} } }); // silence the servers
 
@@ -162,6 +164,67 @@ describe("integration", function () {
             await callClientMethods(httpClient);
             await httpServer.stop();
         });
+
+        it("should round-trip Dates, BigInts, Buffers and Maps", async () => {
+            const httpServer = Allserver({
+                procedures: { echo: ({ value }) => ({ value, types: value.map((v) => typeof v) }) },
+                transport: HttpTransport({ port: 4003 }),
+            });
+            await httpServer.start();
+
+            const value = [
+                new Date(0),
+                global.BigInt("12345678901234567890"),
+                Buffer.from("hi"),
+                new Map([[1, new Set(["a"])]]),
+                undefined,
+                { $date: 1 },
+            ];
+            const response = await AllserverClient({ uri: "http://localhost:4003" }).echo({ value });
+            assert.strictEqual(response.success, true);
+            assert.deepStrictEqual(response.echo.value, value);
+            assert.deepStrictEqual(response.echo.types, [
+                "object",
+                "bigint",
+                "object",
+                "object",
+                "undefined",
+                "object",
+            ]);
+
+            // The plain JSON clients are replied the plain JSON
+            const plain = await fetch("http://localhost:4003/echo", {
+                method: "POST",
+                body: JSON.stringify({ value: [new Date(0)] }),
+            });
+            assert.strictEqual(plain.headers.get("content-type"), "application/json; charset=utf-8");
+            assert.deepStrictEqual((await plain.json()).echo.value, ["1970-01-01T00:00:00.000Z"]);
+
+            await httpServer.stop();
+        });
+
+        it("should send plain JSON to the servers not knowing the extended JSON", async () => {
+            const received = [];
+            // Same as the older HttpTransport. Any body is JSON, any reply is JSON.
+            const oldServer = require("http").createServer((req, res) => {
+                let body = "";
+                req.on("data", (chunk) => (body += chunk));
+                req.on("end", () => {
+                    received.push(body && JSON.parse(body));
+                    res.setHeader("content-type", "application/json");
+                    res.end(JSON.stringify({ success: true, code: "SUCCESS", message: "Success" }));
+                });
+            });
+            await new Promise((r) => oldServer.listen(4006, r));
+            const client = AllserverClient({ uri: "http://localhost:4006", autoIntrospect: false });
+
+            await client.foo({ at: new Date(0), note: undefined });
+            await client.foo({ at: new Date(0), note: undefined });
+
+            assert.deepStrictEqual(received, [{ at: "1970-01-01T00:00:00.000Z" }, { at: "1970-01-01T00:00:00.000Z" }]);
+
+            await new Promise((r) => oldServer.close(r));
+        });
     });
 
     describe("grpc", () => {
@@ -226,6 +289,201 @@ describe("integration", function () {
 
             await grpcServer.stop();
         });
+
+        it("should reply non-OK statuses with any result", async () => {
+            const circular = {};
+            circular.self = circular;
+            const grpcServer = Allserver({
+                procedures: {
+                    gate({ number }) {
+                        const extra = number === 1 ? { limit: global.BigInt(1) } : { circular };
+                        throw new AllserverError({
+                            code: "GATE_NOT_FOUND",
+                            message: "No gate",
+                            grpcStatus: 5,
+                            ...extra,
+                        });
+                    },
+                },
+                transport: GrpcTransport({ protoFile, port: 50053 }),
+            });
+            await grpcServer.start();
+            const grpcClient = AllserverClient({
+                transport: GrpcClientTransport({ protoFile, uri: "grpc://localhost:50053" }),
+            });
+
+            for (const number of [1, 2]) {
+                const response = await grpcClient.gate({ number });
+                assert.strictEqual(response.code, "GATE_NOT_FOUND");
+                assert.strictEqual(response.error.status, 5);
+            }
+
+            await grpcServer.stop();
+        });
+
+        it("should reply namespaced procedure results", async () => {
+            const grpcServer = Allserver({
+                procedures: { users: { create: ({ firstName }) => `Created ${firstName}` } },
+                transport: GrpcTransport({ protoFile, port: 50052 }),
+            });
+            await grpcServer.start();
+            const grpcClient = AllserverClient({
+                transport: GrpcClientTransport({ protoFile, uri: "grpc://localhost:50052" }),
+            });
+
+            const response = await grpcClient.users.create({ firstName: "Jane" });
+            assert.deepStrictEqual(response, {
+                success: true,
+                code: "SUCCESS",
+                message: "Success",
+                create: "Created Jane",
+            });
+
+            await grpcServer.stop();
+        });
+    });
+
+    describe("jsonrpc", () => {
+        const fetch = require("node-fetch");
+
+        it("should behave with node-fetch", async () => {
+            const jsonRpcServer = Allserver({ procedures, transport: JsonRpcTransport({ port: 4001 }) });
+            await jsonRpcServer.start();
+            const post = async (body) => {
+                const response = await fetch("http://localhost:4001", { method: "POST", body: JSON.stringify(body) });
+                return response.status === 204 ? null : response.json();
+            };
+
+            let response = await post({ jsonrpc: "2.0", id: 1, method: "sayHello", params: { name: "world" } });
+            const expectedHello = { success: true, code: "SUCCESS", message: "Success", sayHello: "Hello world" };
+            assert.deepStrictEqual(response, { jsonrpc: "2.0", id: 1, result: expectedHello });
+
+            // Notifications are not replied
+            response = await post({ jsonrpc: "2.0", method: "sayHello", params: { name: "world" } });
+            assert.strictEqual(response, null);
+
+            response = await post([
+                { jsonrpc: "2.0", id: 1, method: "gate", params: [{ number: 3 }] },
+                { jsonrpc: "2.0", method: "sayHello" },
+                { jsonrpc: "2.0", id: 2, method: "unexist" },
+                { jsonrpc: "2.0", id: 3, method: "throws" },
+                { jsonrpc: "2.0", id: 4, method: "sayHello", params: [1, 2] },
+                { id: 5 },
+            ]);
+            const gateNotFound = { success: false, code: "GATE_NOT_FOUND", message: "Gate 3 was not found" };
+            assert.deepStrictEqual(response[0], { jsonrpc: "2.0", id: 1, result: gateNotFound });
+            assert.deepStrictEqual(
+                response.slice(1).map((r) => [r.id, r.error.code]),
+                [
+                    [2, -32601],
+                    [3, -32603],
+                    [4, -32602],
+                    [5, -32600],
+                ]
+            );
+            assert.strictEqual(response[1].error.data.code, "ALLSERVER_PROCEDURE_NOT_FOUND");
+
+            await jsonRpcServer.stop();
+        });
+
+        it("should reply errors instead of crashing", async () => {
+            const circular = {};
+            circular.self = circular;
+            const jsonRpcServer = Allserver({
+                procedures: { big: () => global.BigInt("9007199254740993"), circular: () => circular },
+                introspection: false,
+                transport: JsonRpcTransport({ port: 4004, maxMessageSize: 1000 }),
+            });
+            await jsonRpcServer.start();
+            const post = async (body) => {
+                const response = await fetch("http://localhost:4004", { method: "POST", body });
+                return [response.status, await response.json()];
+            };
+
+            let [status, response] = await post('{"jsonrpc":"2.0","id":1,"method":"introspect"}');
+            assert.deepStrictEqual(response.error, { code: -32601, message: "Method not found" });
+
+            [status, response] = await post('{"jsonrpc":"2.0","id":2,"method":"big"}');
+            assert.strictEqual(response.result.big, "9007199254740993");
+
+            [status, response] = await post('{"jsonrpc":"2.0","id":3,"method":"circular"}');
+            assert.deepStrictEqual(response, {
+                jsonrpc: "2.0",
+                id: 3,
+                error: { code: -32603, message: "Internal error" },
+            });
+
+            [status, response] = await post(
+                JSON.stringify({ jsonrpc: "2.0", id: 4, method: "big", params: { a: "a".repeat(1000) } })
+            );
+            assert.strictEqual(status, 413);
+            assert.strictEqual(response.error.code, -32600);
+
+            await jsonRpcServer.stop();
+        });
+
+        it("should reply errors instead of crashing over raw TCP", async () => {
+            const jsonRpcServer = Allserver({
+                procedures: { big: () => global.BigInt("9007199254740993") },
+                introspection: false,
+                transport: JsonRpcTransport({ port: 4005, protocol: "tcp", maxMessageSize: 1000 }),
+            });
+            await jsonRpcServer.start();
+            const socket = require("net").connect(4005, "localhost");
+            const lines = [];
+            const closed = new Promise((resolve) => {
+                socket.setEncoding("utf8");
+                socket.on("data", (data) => lines.push(...data.split("\n").filter(Boolean)));
+                socket.on("end", resolve);
+            });
+
+            socket.write('{"jsonrpc":"2.0","id":1,"method":"introspect"}\n{"jsonrpc":"2.0","id":2,"method":"big"}\n');
+            await new Promise((r) => setTimeout(r, 50));
+            socket.write("x".repeat(1001));
+            await closed;
+            socket.destroy();
+
+            const responses = lines.map((line) => JSON.parse(line));
+            assert.deepStrictEqual(
+                responses.map((r) => [r.id, r.error ? r.error.code : r.result.big]),
+                [
+                    [1, -32601],
+                    [2, "9007199254740993"],
+                    [null, -32600],
+                ]
+            );
+
+            await jsonRpcServer.stop();
+        });
+
+        it("should behave with AllserverClient over raw TCP", async () => {
+            const jsonRpcServer = Allserver({
+                procedures,
+                transport: JsonRpcTransport({ port: 4002, protocol: "tcp" }),
+            });
+            await jsonRpcServer.start();
+            const client = AllserverClient({ uri: "jsonrpc+tcp://localhost:4002" });
+
+            const [hello, gate, thrown] = await Promise.all([
+                client.sayHello({ name: "world" }),
+                client.gate({ number: 3 }),
+                client.throws({}),
+            ]);
+            assert.deepStrictEqual(hello, {
+                success: true,
+                code: "SUCCESS",
+                message: "Success",
+                sayHello: "Hello world",
+            });
+            assert.strictEqual(gate.code, "GATE_NOT_FOUND");
+            assert.strictEqual(thrown.code, "ALLSERVER_PROCEDURE_ERROR");
+            assert.strictEqual(thrown.error.jsonrpcCode, -32603);
+
+            const response = await client.unexist({});
+            assert.strictEqual(response.code, "ALLSERVER_CLIENT_PROCEDURE_NOT_FOUND");
+
+            await jsonRpcServer.stop();
+        });
     });
 
     describe("lambda", () => {
@@ -246,5 +504,21 @@ describe("integration", function () {
 
             await callClientMethods(lambdaClient);
         });
+
+        it("should export the procedures added and removed at runtime", async () => {
+            const lambdaServer = Allserver({
+                procedures: { sayHello: procedures.sayHello },
+                transport: LambdaTransport({ mapProceduresToExports: true }),
+            });
+            const handlers = lambdaServer.start();
+
+            lambdaServer.addProcedure("getTime", () => ({ time: 42 }));
+            lambdaServer.removeProcedure("sayHello");
+
+            assert.deepStrictEqual(Object.keys(handlers), ["getTime"]);
+            const response = await handlers.getTime({ path: "/getTime" }, {});
+            assert.strictEqual(response.statusCode, 200);
+            assert.deepStrictEqual(JSON.parse(response.body).getTime, { time: 42 });
+        });
     });
 });
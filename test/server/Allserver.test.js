@@ -2,14 +2,36 @@ const assert = require("assert");
 
 const VoidTransport = require("stampit")({
     methods: {
+        getName: () => "void",
         isIntrospection: () => false,
         getProcedureName: (ctx) => ctx.void.proc,
+        getCallTimeout() {},
+        updateProcedures() {},
+        getHeaders: (ctx) => ctx.void.headers || {},
+        getRemoteAddress: (ctx) => ctx.void.ip,
+        getResultKey: (procedureName) => procedureName,
+        setReplyHeader: (ctx, name, value) => (ctx.void.replyHeaders = { ...ctx.void.replyHeaders, [name]: value }),
         prepareIntrospectionReply() {},
         prepareNotFoundReply() {},
         prepareProcedureErrorReply() {},
+        prepareBadArgumentsReply() {},
+        prepareShuttingDownReply() {},
+        prepareProcedureTimeoutReply() {},
+        prepareRateLimitedReply() {},
+        prepareOverloadedReply() {},
+        prepareReplyStatus() {},
         reply() {},
     },
 });
+const {
+    AllserverError,
+    RateLimiter,
+    MemoryStore,
+    Metrics,
+    Health,
+    InMemorySpanExporter,
+    AllserverClient,
+} = require("../../src");
 const Allserver = require("../../src").Allserver.props({
     transport: VoidTransport(),
     procedures: { testMethod() {} },
@@ -153,41 +175,1713 @@ describe("Allserver", () => {
         });
     });
 
+    describe("namespaces", () => {
+        const procedures = {
+            users: {
+                create: () => "created",
+                admin: { ban: () => "banned" },
+            },
+            "users/update": () => "updated", // hand-named procedure
+            health() {},
+        };
+
+        it("should call nested procedures", async () => {
+            const server = Allserver({ procedures });
+
+            for (const [procedureName, expected] of Object.entries({
+                "users/create": "created",
+                "users/admin/ban": "banned",
+                "users/update": "updated",
+            })) {
+                const ctx = { void: { proc: procedureName } };
+                await server.handleCall(ctx);
+                assert.strictEqual(ctx.result[procedureName], expected);
+            }
+        });
+
+        it("should not call namespaces", async () => {
+            const server = Allserver({ procedures });
+
+            for (const procedureName of ["users", "users/admin", "users/unexist", "health/check"]) {
+                const ctx = { void: { proc: procedureName } };
+                await server.handleCall(ctx);
+                assert.strictEqual(ctx.result.code, "ALLSERVER_PROCEDURE_NOT_FOUND");
+            }
+        });
+
+        it("should introspect flattened procedure names", async () => {
+            const server = Allserver({
+                procedures,
+                transport: VoidTransport.methods({ isIntrospection: () => true })(),
+            });
+
+            const ctx = { void: { proc: "" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(ctx.introspection, {
+                "users/create": "function",
+                "users/admin/ban": "function",
+                "users/update": "function",
+                health: "function",
+            });
+        });
+
+        it("should throw if a nested procedure is not a function", () => {
+            assert.throws(
+                () => Allserver({ procedures: { users: { create: "bad" } } }),
+                /All procedures must be functions/
+            );
+        });
+    });
+
+    describe("argSchema", () => {
+        function createUser({ firstName }) {
+            return { success: true, code: "CREATED", user: { firstName } };
+        }
+        createUser.argSchema = {
+            type: "object",
+            required: ["firstName", "age"],
+            properties: {
+                firstName: { type: "string", minLength: 1 },
+                lastName: { type: "string" },
+                age: { type: "integer", minimum: 0 },
+                tags: { type: "array", items: { type: "string" } },
+            },
+            additionalProperties: false,
+        };
+
+        it("should reply ALLSERVER_BAD_ARGUMENTS listing the failing fields", async () => {
+            let preparedReply = false;
+            const MockedTransport = VoidTransport.methods({
+                prepareBadArgumentsReply(ctx) {
+                    assert.strictEqual(ctx.result.code, "ALLSERVER_BAD_ARGUMENTS");
+                    preparedReply = true;
+                },
+            });
+            const server = Allserver({
+                procedures: {
+                    createUser() {
+                        assert.fail("Must not be called");
+                    },
+                },
+                transport: MockedTransport(),
+            });
+            server.procedures.createUser.argSchema = createUser.argSchema;
+
+            const ctx = { void: { proc: "createUser" }, arg: { firstName: 1, tags: ["a", 2], extra: true } };
+            await server.handleCall(ctx);
+
+            assert(preparedReply);
+            assert.deepStrictEqual(ctx.result, {
+                success: false,
+                code: "ALLSERVER_BAD_ARGUMENTS",
+                message:
+                    "Bad arguments of 'createUser' procedure: 'arg.age' is required, 'arg.firstName' must be string, " +
+                    "'arg.tags[1]' must be string, 'arg.extra' is not allowed",
+                errors: [
+                    { path: "arg.age", message: "is required" },
+                    { path: "arg.firstName", message: "must be string" },
+                    { path: "arg.tags[1]", message: "must be string" },
+                    { path: "arg.extra", message: "is not allowed" },
+                ],
+            });
+        });
+
+        it("should treat missing argument as empty object", async () => {
+            const server = Allserver({ procedures: { createUser } });
+
+            const ctx = { void: { proc: "createUser" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.result.code, "ALLSERVER_BAD_ARGUMENTS");
+            assert.deepStrictEqual(ctx.result.errors, [
+                { path: "arg.firstName", message: "is required" },
+                { path: "arg.age", message: "is required" },
+            ]);
+        });
+
+        it("should call the procedure if arguments are valid", async () => {
+            const server = Allserver({ procedures: { createUser } });
+
+            const ctx = { void: { proc: "createUser" }, arg: { firstName: "Fred", age: 42, tags: ["a"] } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(ctx.result, { success: true, code: "CREATED", user: { firstName: "Fred" } });
+        });
+
+        it("should throw if argSchema is not an object", () => {
+            function foo() {}
+            foo.argSchema = "bad";
+            assert.throws(() => Allserver({ procedures: { foo } }), /'foo' procedure 'argSchema' must be an object/);
+        });
+    });
+
     describe("#start", () => {
         it("should call transport startServer()", async () => {
             let started = false;
             const MockedTransport = VoidTransport.methods({
-                async startServer(...args) {
-                    assert.strictEqual(args.length, 1);
-                    assert.strictEqual(args[0].allserver, server);
-                    started = true;
+                async startServer(...args) {
+                    assert.strictEqual(args.length, 1);
+                    assert.strictEqual(args[0].allserver, server);
+                    started = true;
+                },
+            });
+
+            const server = Allserver({ transport: MockedTransport() });
+            const promise = server.start();
+
+            assert(promise.then);
+            await promise;
+            assert(started);
+        });
+
+        it("should return the Lambda handler unchanged when serving the metrics", async () => {
+            const handler = async () => {};
+            const MockedTransport = VoidTransport.methods({ startServer: () => handler, async stopServer() {} });
+            const server = Allserver({ transport: MockedTransport(), metrics: { port: 4007 } });
+
+            const started = server.start();
+
+            assert.strictEqual(started, handler);
+            assert(server.metrics.server);
+            await server.stop();
+        });
+    });
+
+    describe("#stop", () => {
+        it("should call transport stopServer()", async () => {
+            let stopped = false;
+            const MockedTransport = VoidTransport.methods({
+                async stopServer() {
+                    stopped = true;
+                },
+            });
+
+            const server = Allserver({ transport: MockedTransport() });
+            const promise = server.stop();
+
+            assert(promise.then);
+            await promise;
+            assert(stopped);
+        });
+    });
+
+    describe("timeouts", () => {
+        it("should reply ALLSERVER_PROCEDURE_TIMEOUT and abort the signal", async () => {
+            let preparedReply = false;
+            let signal;
+            const server = Allserver({
+                callTimeout: 10,
+                procedures: {
+                    hangs(arg, ctx) {
+                        signal = ctx.signal;
+                        assert.strictEqual(signal.aborted, false);
+                        return new Promise(() => {});
+                    },
+                },
+                transport: VoidTransport.methods({
+                    prepareProcedureTimeoutReply(ctx) {
+                        assert.strictEqual(ctx.result.code, "ALLSERVER_PROCEDURE_TIMEOUT");
+                        preparedReply = true;
+                    },
+                })(),
+            });
+
+            const ctx = { void: { proc: "hangs" } };
+            await server.handleCall(ctx);
+
+            assert(preparedReply);
+            assert.strictEqual(signal.aborted, true);
+            assert.deepStrictEqual(ctx.result, {
+                success: false,
+                code: "ALLSERVER_PROCEDURE_TIMEOUT",
+                message: "'hangs' procedure timed out after 10ms",
+            });
+        });
+
+        it("should prefer procedure timeout over the server-wide one", async () => {
+            function slow() {
+                return new Promise((resolve) => setTimeout(() => resolve("done"), 20));
+            }
+            slow.timeout = 1000;
+            const server = Allserver({ callTimeout: 1, procedures: { slow } });
+
+            const ctx = { void: { proc: "slow" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.timeout, 1000);
+            assert.strictEqual(ctx.result.slow, "done");
+        });
+
+        it("should limit timeout by the transport one", async () => {
+            const server = Allserver({
+                callTimeout: 1000,
+                procedures: { hangs: () => new Promise(() => {}) },
+                transport: VoidTransport.methods({ getCallTimeout: () => 5 })(),
+            });
+
+            const ctx = { void: { proc: "hangs" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.timeout, 5);
+            assert.strictEqual(ctx.result.code, "ALLSERVER_PROCEDURE_TIMEOUT");
+        });
+
+        it("should not create signal if there is no timeout", async () => {
+            const server = Allserver();
+
+            const ctx = { void: { proc: "testMethod" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.signal, undefined);
+            assert.strictEqual(ctx.result.success, true);
+        });
+    });
+
+    describe("AllserverError", () => {
+        it("should reply the error as is without logging it", async () => {
+            const server = Allserver({
+                logger: {
+                    error() {
+                        throw new Error("Must not log");
+                    },
+                },
+                procedures: {
+                    getUser({ id }) {
+                        throw new AllserverError({ code: "USER_NOT_FOUND", message: `User ${id} not found`, id });
+                    },
+                },
+                transport: VoidTransport.methods({
+                    prepareProcedureErrorReply() {
+                        throw new Error("Must not be called");
+                    },
+                })(),
+            });
+
+            const ctx = { void: { proc: "getUser" }, arg: { id: 7 } };
+            await server.handleCall(ctx);
+
+            assert(ctx.error instanceof AllserverError);
+            assert.deepStrictEqual(ctx.result, {
+                success: false,
+                code: "USER_NOT_FOUND",
+                message: "User 7 not found",
+                id: 7,
+            });
+        });
+
+        it("should reply the error thrown from middlewares as is", async () => {
+            const server = Allserver({
+                logger: {
+                    error() {
+                        throw new Error("Must not log");
+                    },
+                },
+                before() {
+                    throw new AllserverError({ code: "NOPE", message: "Nope" });
+                },
+            });
+
+            const ctx = { void: { proc: "testMethod" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(ctx.result, { success: false, code: "NOPE", message: "Nope" });
+        });
+
+        it("should map result codes to statuses", async () => {
+            let status;
+            const server = Allserver({
+                statusCodes: { USER_NOT_FOUND: { http: 404, grpc: 5 } },
+                procedures: {
+                    getUser: () => ({ success: false, code: "USER_NOT_FOUND", message: "Not found" }),
+                    assertion() {
+                        assert(false, "bad");
+                    },
+                },
+                logger: { error() {} },
+                transport: VoidTransport.methods({
+                    prepareReplyStatus(ctx, s) {
+                        status = s;
+                    },
+                })(),
+            });
+
+            await server.handleCall({ void: { proc: "getUser" } });
+            assert.deepStrictEqual(status, { http: 404, grpc: 5 });
+
+            // The default mapping is kept
+            await server.handleCall({ void: { proc: "assertion" } });
+            assert.deepStrictEqual(status, { http: 400 });
+
+            status = undefined;
+            await server.handleCall({ void: { proc: "testMethod" } });
+            assert.strictEqual(status, undefined);
+        });
+
+        it("should prefer the error status hints over the mapping", async () => {
+            let status;
+            const server = Allserver({
+                statusCodes: { GONE: { http: 404, grpc: 5 } },
+                procedures: {
+                    foo() {
+                        throw new AllserverError({ code: "GONE", httpStatus: 410 });
+                    },
+                },
+                transport: VoidTransport.methods({
+                    prepareReplyStatus(ctx, s) {
+                        status = s;
+                    },
+                })(),
+            });
+
+            const ctx = { void: { proc: "foo" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(status, { http: 410, grpc: 5 });
+            assert.deepStrictEqual(ctx.result, { success: false, code: "GONE", message: "GONE" });
+        });
+    });
+
+    describe("auth", () => {
+        const basic = (username, password) => "Basic " + Buffer.from(`${username}:${password}`).toString("base64");
+
+        function createServer(auth, procedures) {
+            return Allserver({
+                auth: {
+                    bearer: (token) => token === "good" && { id: "bob", roles: ["user"], scopes: "users:read" },
+                    basic: ({ username, password }) => password === "pass" && { id: username },
+                    apiKey: (key) => key === "key" && { id: "service", roles: ["admin"] },
+                    ...auth,
+                },
+                procedures: procedures || { testMethod() {} },
+            });
+        }
+
+        it("should put the principal to ctx.auth", async () => {
+            const server = createServer();
+
+            for (const [headers, id] of [
+                [{ authorization: "Bearer good" }, "bob"],
+                [{ authorization: basic("alice", "pass") }, "alice"],
+                [{ "x-api-key": "key" }, "service"],
+            ]) {
+                const ctx = { void: { proc: "testMethod", headers } };
+                await server.handleCall(ctx);
+
+                assert.strictEqual(ctx.auth.id, id);
+                assert.strictEqual(ctx.result.success, true);
+            }
+        });
+
+        it("should reply ALLSERVER_UNAUTHENTICATED", async () => {
+            let beforeCalled = false;
+            const server = createServer();
+            server.before = () => {
+                beforeCalled = true;
+            };
+
+            for (const headers of [{}, { authorization: "Bearer bad" }, { authorization: basic("alice", "bad") }]) {
+                const ctx = { void: { proc: "testMethod", headers } };
+                await server.handleCall(ctx);
+
+                assert.strictEqual(ctx.auth, null);
+                assert.strictEqual(ctx.result.code, "ALLSERVER_UNAUTHENTICATED");
+            }
+            assert(!beforeCalled);
+        });
+
+        it("should allow anonymous calls if not required", async () => {
+            const server = createServer({ required: (ctx) => ctx.procedureName !== "testMethod" });
+
+            const ctx = { void: { proc: "testMethod" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.auth, null);
+            assert.strictEqual(ctx.result.success, true);
+        });
+
+        it("should leave introspection calls to the introspection option", async () => {
+            const server = createServer();
+            server.introspection = (ctx) => Boolean(ctx.auth);
+            server.transport = VoidTransport.methods({ isIntrospection: () => true })();
+
+            let ctx = { void: { headers: { authorization: "Bearer bad" } } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.auth, null);
+            assert.strictEqual(ctx.result, undefined);
+
+            ctx = { void: { headers: { authorization: "Bearer good" } } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.auth.id, "bob");
+            assert.strictEqual(ctx.result.code, "ALLSERVER_INTROSPECTION");
+        });
+
+        it("should read custom API key header", async () => {
+            const server = createServer({ apiKeyHeader: "X-Secret" });
+
+            const ctx = { void: { proc: "testMethod", headers: { "x-secret": "key" } } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.auth.id, "service");
+        });
+
+        it("should reply ALLSERVER_FORBIDDEN if roles or scopes are missing", async () => {
+            function ban() {}
+            ban.roles = ["admin", "moderator"];
+            function listUsers() {}
+            listUsers.scopes = ["users:read"];
+            function deleteUser() {}
+            deleteUser.scopes = ["users:read", "users:write"];
+            const server = createServer({ required: false }, { ban, listUsers, deleteUser });
+
+            const call = async (proc, headers) => {
+                const ctx = { void: { proc, headers } };
+                await server.handleCall(ctx);
+                return ctx.result;
+            };
+
+            assert.deepStrictEqual(await call("ban", { authorization: "Bearer good" }), {
+                success: false,
+                code: "ALLSERVER_FORBIDDEN",
+                message: "Procedure 'ban' requires any of the roles: admin, moderator",
+            });
+            assert.strictEqual((await call("ban", { "x-api-key": "key" })).success, true);
+            assert.strictEqual((await call("ban")).code, "ALLSERVER_UNAUTHENTICATED");
+            assert.strictEqual((await call("listUsers", { authorization: "Bearer good" })).success, true);
+            assert.deepStrictEqual(await call("deleteUser", { authorization: "Bearer good" }), {
+                success: false,
+                code: "ALLSERVER_FORBIDDEN",
+                message: "Procedure 'deleteUser' requires the scopes: users:read, users:write",
+            });
+        });
+
+        it("should map auth failures to HTTP statuses", async () => {
+            const statuses = [];
+            const server = createServer();
+            server.transport = VoidTransport.methods({
+                prepareReplyStatus(ctx, status) {
+                    statuses.push(status);
+                },
+            })();
+            function admin() {}
+            admin.roles = ["admin"];
+            server.procedures = { admin };
+
+            await server.handleCall({ void: { proc: "admin" } });
+            await server.handleCall({ void: { proc: "admin", headers: { authorization: "Bearer good" } } });
+
+            assert.deepStrictEqual(statuses, [{ http: 401 }, { http: 403 }]);
+        });
+
+        it("should log verifier exceptions and reply a server error", async () => {
+            let logged = false;
+            let status;
+            const server = Allserver({
+                transport: VoidTransport.methods({
+                    prepareReplyStatus(ctx, s) {
+                        status = s;
+                    },
+                })(),
+                auth: {
+                    bearer() {
+                        throw new Error("DB is down");
+                    },
+                },
+                logger: {
+                    error(code) {
+                        assert.strictEqual(code, "ALLSERVER_AUTH_ERROR");
+                        logged = true;
+                    },
+                },
+            });
+
+            const ctx = { void: { proc: "testMethod", headers: { authorization: "Bearer x" } } };
+            await server.handleCall(ctx);
+
+            assert(logged);
+            assert.strictEqual(ctx.result.code, "ALLSERVER_AUTH_ERROR");
+            assert.deepStrictEqual(status, { http: 500, grpc: 13 });
+        });
+
+        it("should throw if no verifiers given", () => {
+            assert.throws(() => Allserver({ auth: { required: true } }), /at least one of/);
+        });
+    });
+
+    describe("rate limiting", () => {
+        async function callTimes(server, times, voidCtx) {
+            const results = [];
+            for (let i = 0; i < times; i++) {
+                const ctx = { void: { proc: "testMethod", ...voidCtx } };
+                await server.handleCall(ctx);
+                results.push(ctx.result);
+            }
+            return results;
+        }
+
+        for (const strategy of ["tokenBucket", "slidingWindow"]) {
+            it(`should reply ALLSERVER_RATE_LIMITED per caller using ${strategy}`, async () => {
+                let preparedReply = false;
+                const server = Allserver({
+                    rateLimit: { strategy, limit: 2, interval: 60000 },
+                    transport: VoidTransport.methods({
+                        prepareRateLimitedReply(ctx) {
+                            assert.strictEqual(ctx.result.code, "ALLSERVER_RATE_LIMITED");
+                            preparedReply = true;
+                        },
+                    })(),
+                });
+
+                const results = await callTimes(server, 3, { ip: "1.1.1.1" });
+
+                assert.deepStrictEqual(
+                    results.map((r) => r.success),
+                    [true, true, false]
+                );
+                assert(preparedReply);
+                assert(results[2].retryAfter > 0 && results[2].retryAfter <= 60000);
+                assert(results[2].message.startsWith("Too many calls of 'testMethod' procedure. Retry after "));
+                // Another caller is not limited
+                assert.strictEqual((await callTimes(server, 1, { ip: "2.2.2.2" }))[0].success, true);
+            });
+        }
+
+        it("should refill the token bucket", async () => {
+            const server = Allserver({ rateLimit: { limit: 1, interval: 20 } });
+
+            assert.strictEqual((await callTimes(server, 2))[1].code, "ALLSERVER_RATE_LIMITED");
+            await new Promise((r) => setTimeout(r, 25));
+            assert.strictEqual((await callTimes(server, 1))[0].success, true);
+        });
+
+        it("should support procedure own limits", async () => {
+            function limited() {}
+            limited.rateLimit = { limit: 1, key: "auth" };
+            function unlimited() {}
+            unlimited.rateLimit = false;
+            const server = Allserver({
+                rateLimit: RateLimiter({ limit: 2 }),
+                procedures: { limited, unlimited },
+            });
+
+            const codes = [];
+            for (const proc of ["limited", "limited", "unlimited", "unlimited", "unlimited"]) {
+                const ctx = { void: { proc } };
+                await server.handleCall(ctx);
+                codes.push(ctx.result.code);
+            }
+
+            assert.deepStrictEqual(codes, ["SUCCESS", "ALLSERVER_RATE_LIMITED", "SUCCESS", "SUCCESS", "SUCCESS"]);
+        });
+
+        it("should use custom key and store", async () => {
+            const keys = [];
+            const store = MemoryStore();
+            const server = Allserver({
+                rateLimit: {
+                    limit: 5,
+                    key: (ctx) => ctx.void.tenant,
+                    store: {
+                        get: (key) => store.get(key),
+                        set(key, value, ttl) {
+                            keys.push(key);
+                            return store.set(key, value, ttl);
+                        },
+                    },
+                },
+            });
+
+            await callTimes(server, 1, { tenant: "acme" });
+
+            assert.deepStrictEqual(keys, ["tokenBucket:testMethod:acme"]);
+        });
+
+        for (const strategy of ["tokenBucket", "slidingWindow"]) {
+            it(`should count concurrent calls using ${strategy}`, async () => {
+                const limiter = RateLimiter({ strategy, limit: 1 });
+                const ctx = { procedureName: "foo", transport: { getRemoteAddress: () => "1.1.1.1" } };
+
+                const results = await Promise.all(Array.from({ length: 10 }, () => limiter.consume(ctx)));
+
+                assert.deepStrictEqual(
+                    results.map((r) => r.allowed),
+                    [true, false, false, false, false, false, false, false, false, false]
+                );
+                assert.strictEqual(limiter._locks.size, 0);
+            });
+        }
+
+        it("should throw on bad options", () => {
+            assert.throws(() => RateLimiter({ strategy: "leakyBucket" }), /Unknown rate limit strategy/);
+            assert.throws(() => RateLimiter({ key: "nope" }), /Unknown rate limit key/);
+        });
+    });
+
+    describe("concurrency", () => {
+        function createGate() {
+            let open;
+            const promise = new Promise((r) => (open = r));
+            return { promise, open };
+        }
+
+        it("should queue calls and reply ALLSERVER_OVERLOADED above the queue", async () => {
+            const gate = createGate();
+            let preparedReply = false;
+            const server = Allserver({
+                concurrency: { limit: 1, queueSize: 1 },
+                procedures: { slow: () => gate.promise },
+                transport: VoidTransport.methods({
+                    prepareOverloadedReply() {
+                        preparedReply = true;
+                    },
+                })(),
+            });
+
+            const contexts = [1, 2, 3].map(() => ({ void: { proc: "slow" } }));
+            const calls = contexts.map((ctx) => server.handleCall(ctx));
+            await new Promise((r) => setImmediate(r));
+
+            assert.deepStrictEqual(server.getConcurrency(), {
+                queued: 1,
+                global: { running: 1, queued: 1 },
+                procedures: {},
+            });
+            assert.deepStrictEqual(contexts[2].result, {
+                success: false,
+                code: "ALLSERVER_OVERLOADED",
+                message: "Server is overloaded",
+            });
+            assert(preparedReply);
+
+            gate.open("done");
+            await Promise.all(calls);
+
+            assert.strictEqual(contexts[0].result.slow, "done");
+            assert.strictEqual(contexts[1].result.slow, "done");
+            assert.deepStrictEqual(server.getConcurrency().global, { running: 0, queued: 0 });
+        });
+
+        it("should limit procedures separately", async () => {
+            const gate = createGate();
+            const report = () => gate.promise;
+            report.concurrency = { limit: 1 };
+            const server = Allserver({ procedures: { report, testMethod() {} } });
+
+            const first = { void: { proc: "report" } };
+            const firstCall = server.handleCall(first);
+            const second = { void: { proc: "report" } };
+            await server.handleCall(second);
+            const other = { void: { proc: "testMethod" } };
+            await server.handleCall(other);
+
+            assert.deepStrictEqual(second.result, {
+                success: false,
+                code: "ALLSERVER_OVERLOADED",
+                message: "Too many concurrent calls of 'report' procedure",
+            });
+            assert.strictEqual(other.result.success, true);
+            assert.deepStrictEqual(server.getConcurrency().procedures, { report: { running: 1, queued: 0 } });
+
+            gate.open();
+            await firstCall;
+            assert.strictEqual(first.result.success, true);
+        });
+
+        it("should release the slot if the procedure throws", async () => {
+            const server = Allserver({
+                concurrency: { limit: 1 },
+                logger: { error() {} },
+                procedures: {
+                    throws() {
+                        throw new Error("oops");
+                    },
+                },
+            });
+
+            await server.handleCall({ void: { proc: "throws" } });
+            const ctx = { void: { proc: "throws" } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.result.code, "ALLSERVER_PROCEDURE_ERROR");
+            assert.deepStrictEqual(server.getConcurrency().global, { running: 0, queued: 0 });
+        });
+    });
+
+    describe("caching", () => {
+        function createCounted(result) {
+            const procedure = (arg) => {
+                procedure.calls += 1;
+                return typeof result === "function" ? result(arg) : result;
+            };
+            procedure.calls = 0;
+            procedure.cache = { ttl: 60000 };
+            return procedure;
+        }
+
+        async function call(server, proc, arg) {
+            const ctx = { void: { proc }, arg };
+            await server.handleCall(ctx);
+            return ctx;
+        }
+
+        it("should cache successful results by argument", async () => {
+            const getCountries = createCounted((arg) => [arg.region]);
+            const server = Allserver({ procedures: { getCountries } });
+
+            const first = await call(server, "getCountries", { region: "EU", lang: "en" });
+            const second = await call(server, "getCountries", { lang: "en", region: "EU" });
+            const other = await call(server, "getCountries", { region: "US", lang: "en" });
+
+            assert.strictEqual(getCountries.calls, 2);
+            assert.strictEqual(first.cached, undefined);
+            assert.strictEqual(second.cached, true);
+            assert.deepStrictEqual(second.result, first.result);
+            assert.deepStrictEqual(other.result.getCountries, ["US"]);
+        });
+
+        it("should not cache unsuccessful results", async () => {
+            const getConfig = createCounted({ success: false, code: "NOPE", message: "Nope" });
+            const server = Allserver({ procedures: { getConfig } });
+
+            await call(server, "getConfig");
+            await call(server, "getConfig");
+
+            assert.strictEqual(getConfig.calls, 2);
+        });
+
+        it("should collapse concurrent identical calls", async () => {
+            const getConfig = createCounted(() => new Promise((r) => setTimeout(() => r({ a: 1 }), 5)));
+            const server = Allserver({ procedures: { getConfig } });
+
+            const contexts = await Promise.all([1, 2, 3].map(() => call(server, "getConfig", { x: 1 })));
+
+            assert.strictEqual(getConfig.calls, 1);
+            for (const ctx of contexts) assert.deepStrictEqual(ctx.result.getConfig, { a: 1 });
+        });
+
+        it("should use custom key function and expire by ttl", async () => {
+            const getMe = createCounted((arg) => arg);
+            getMe.cache = { ttl: 10, key: (arg, ctx) => ctx.void.user };
+            const server = Allserver({ procedures: { getMe } });
+
+            const ctx = { void: { proc: "getMe", user: "bob" }, arg: 1 };
+            await server.handleCall(ctx);
+            const ctx2 = { void: { proc: "getMe", user: "bob" }, arg: 2 };
+            await server.handleCall(ctx2);
+            assert.strictEqual(getMe.calls, 1);
+            assert.strictEqual(ctx2.result.getMe, 1);
+
+            await new Promise((r) => setTimeout(r, 15));
+            await server.handleCall({ void: { proc: "getMe", user: "bob" }, arg: 3 });
+            assert.strictEqual(getMe.calls, 2);
+        });
+
+        it("should invalidate cache", async () => {
+            const getConfig = createCounted({ a: 1 });
+            const server = Allserver({ procedures: { getConfig } });
+
+            await call(server, "getConfig", { id: 1 });
+            await call(server, "getConfig", { id: 2 });
+            await server.invalidateCache("getConfig", { id: 1 });
+            await call(server, "getConfig", { id: 1 });
+            await call(server, "getConfig", { id: 2 });
+            assert.strictEqual(getConfig.calls, 3);
+
+            await server.invalidateCache("getConfig");
+            await call(server, "getConfig", { id: 2 });
+            assert.strictEqual(getConfig.calls, 4);
+
+            await server.invalidateCache();
+            await call(server, "getConfig", { id: 2 });
+            assert.strictEqual(getConfig.calls, 5);
+        });
+
+        it("should evict least recently used entries from memory store", async () => {
+            const store = MemoryStore({ maxSize: 2 });
+            await store.set("a", 1);
+            await store.set("b", 2);
+            await store.get("a");
+            await store.set("c", 3);
+
+            assert.strictEqual(await store.get("a"), 1);
+            assert.strictEqual(await store.get("b"), undefined);
+            assert.strictEqual(await store.get("c"), 3);
+        });
+
+        it("should validate cache options", () => {
+            function foo() {}
+            foo.cache = { key: () => "" };
+            assert.throws(() => Allserver({ procedures: { foo } }), /'foo' procedure 'cache' must be an object/);
+        });
+    });
+
+    describe("idempotency", () => {
+        function createPayment(arg) {
+            createPayment.calls += 1;
+            if (arg.fail) throw new Error("Card declined");
+            return new Promise((r) => setTimeout(() => r({ id: createPayment.calls }), 5));
+        }
+        createPayment.idempotent = true;
+
+        beforeEach(() => {
+            createPayment.calls = 0;
+        });
+
+        it("should replay the first reply", async () => {
+            const server = Allserver({ procedures: { createPayment } });
+
+            const first = { void: { proc: "createPayment", headers: { "idempotency-key": "k1" } }, arg: {} };
+            await server.handleCall(first);
+            const repeat = { void: { proc: "createPayment", headers: { "idempotency-key": "k1" } }, arg: {} };
+            await server.handleCall(repeat);
+            const other = { void: { proc: "createPayment", headers: { "idempotency-key": "k2" } }, arg: {} };
+            await server.handleCall(other);
+
+            assert.strictEqual(createPayment.calls, 2);
+            assert.deepStrictEqual(repeat.result, first.result);
+            assert.strictEqual(repeat.replayed, true);
+            assert.strictEqual(repeat.idempotencyKey, "k1");
+            assert.deepStrictEqual(other.result.createPayment, { id: 2 });
+        });
+
+        it("should read the key from the argument", async () => {
+            function refund() {
+                refund.calls = (refund.calls || 0) + 1;
+            }
+            refund.idempotent = { argField: "requestId", ttl: 1000 };
+            const server = Allserver({ procedures: { refund } });
+
+            await server.handleCall({ void: { proc: "refund" }, arg: { requestId: "r1" } });
+            await server.handleCall({ void: { proc: "refund" }, arg: { requestId: "r1" } });
+            await server.handleCall({ void: { proc: "refund" }, arg: {} });
+            await server.handleCall({ void: { proc: "refund" }, arg: {} });
+
+            assert.strictEqual(refund.calls, 3);
+        });
+
+        it("should reply ALLSERVER_IDEMPOTENCY_CONFLICT while the first call is running", async () => {
+            const statuses = [];
+            const server = Allserver({
+                procedures: { createPayment },
+                transport: VoidTransport.methods({
+                    prepareReplyStatus(ctx, status) {
+                        statuses.push(status);
+                    },
+                })(),
+            });
+
+            const contexts = [1, 2].map(() => ({
+                void: { proc: "createPayment", headers: { "idempotency-key": "k1" } },
+                arg: {},
+            }));
+            await Promise.all(contexts.map((ctx) => server.handleCall(ctx)));
+
+            assert.strictEqual(createPayment.calls, 1);
+            assert.strictEqual(contexts[0].result.success, true);
+            assert.deepStrictEqual(contexts[1].result, {
+                success: false,
+                code: "ALLSERVER_IDEMPOTENCY_CONFLICT",
+                message: "A call of 'createPayment' procedure with the same idempotency key is in progress",
+            });
+            assert.deepStrictEqual(statuses, [{ http: 409 }]);
+        });
+
+        it("should not replay crashed calls", async () => {
+            const server = Allserver({ procedures: { createPayment }, logger: { error() {} } });
+
+            for (let i = 0; i < 2; i++) {
+                const ctx = { void: { proc: "createPayment", headers: { "idempotency-key": "k1" } }, arg: { fail: 1 } };
+                await server.handleCall(ctx);
+                assert.strictEqual(ctx.result.code, "ALLSERVER_PROCEDURE_ERROR");
+            }
+            assert.strictEqual(createPayment.calls, 2);
+        });
+
+        it("should not share replies between callers", async () => {
+            const server = Allserver({ procedures: { createPayment } });
+
+            for (const auth of [{ id: "alice" }, { id: "bob" }]) {
+                const ctx = { void: { proc: "createPayment", headers: { "idempotency-key": "k1" } }, arg: {} };
+                server.before = (ctx) => {
+                    ctx.auth = auth;
+                };
+                await server.handleCall(ctx);
+            }
+
+            assert.strictEqual(createPayment.calls, 2);
+        });
+    });
+
+    describe("metrics", () => {
+        it("should count calls by result code", async () => {
+            let inFlight;
+            const server = Allserver({
+                metrics: true,
+                logger: { error() {} },
+                procedures: {
+                    ok() {
+                        inFlight = server.metrics.snapshot().inFlight;
+                    },
+                    fails() {
+                        throw new Error("oops");
+                    },
+                },
+            });
+
+            await server.handleCall({ void: { proc: "ok" } });
+            await server.handleCall({ void: { proc: "ok" } });
+            await server.handleCall({ void: { proc: "fails" } });
+            await server.handleCall({ void: { proc: "random-name" } });
+
+            assert.deepStrictEqual(inFlight, [{ procedure: "ok", transport: "void", value: 1 }]);
+            const snapshot = server.metrics.snapshot();
+            assert.deepStrictEqual(snapshot.calls, [
+                { procedure: "ok", transport: "void", code: "SUCCESS", success: "true", value: 2 },
+                {
+                    procedure: "fails",
+                    transport: "void",
+                    code: "ALLSERVER_PROCEDURE_ERROR",
+                    success: "false",
+                    value: 1,
+                },
+                {
+                    procedure: "not_found",
+                    transport: "void",
+                    code: "ALLSERVER_PROCEDURE_NOT_FOUND",
+                    success: "false",
+                    value: 1,
+                },
+            ]);
+            assert.deepStrictEqual(
+                snapshot.inFlight.map((m) => m.value),
+                [0, 0, 0]
+            );
+            const okDuration = snapshot.durations[0];
+            assert.strictEqual(okDuration.procedure, "ok");
+            assert.strictEqual(okDuration.count, 2);
+            assert.strictEqual(okDuration.buckets["10"], 2);
+        });
+
+        it("should count middleware errors", async () => {
+            const server = Allserver({
+                metrics: true,
+                logger: { error() {} },
+                before() {
+                    throw new Error("oops");
+                },
+            });
+
+            await server.handleCall({ void: { proc: "testMethod" } });
+
+            assert.deepStrictEqual(server.metrics.snapshot().middlewareErrors, [
+                { procedure: "testMethod", transport: "void", type: "before", value: 1 },
+            ]);
+        });
+
+        it("should format Prometheus text", async () => {
+            const metrics = Metrics({ prefix: "my_", buckets: [1, 0.1] });
+            const server = Allserver({ metrics });
+
+            await server.handleCall({ void: { proc: "testMethod" } });
+            const text = metrics.toPrometheus();
+
+            assert(text.includes("# TYPE my_calls_total counter\n"));
+            assert(
+                text.includes(
+                    'my_calls_total{procedure="testMethod",transport="void",code="SUCCESS",success="true"} 1\n'
+                )
+            );
+            assert(text.includes('my_calls_in_flight{procedure="testMethod",transport="void"} 0\n'));
+            assert(text.includes("# TYPE my_call_duration_seconds histogram\n"));
+            assert(
+                text.includes('my_call_duration_seconds_bucket{procedure="testMethod",transport="void",le="0.1"} 1\n')
+            );
+            assert(
+                text.includes('my_call_duration_seconds_bucket{procedure="testMethod",transport="void",le="+Inf"} 1\n')
+            );
+            assert(text.includes('my_call_duration_seconds_count{procedure="testMethod",transport="void"} 1\n'));
+        });
+    });
+
+    describe("health", () => {
+        it("should aggregate the health checks", async () => {
+            const server = Allserver({
+                health: {
+                    checks: {
+                        db: { check: async () => {}, liveness: true },
+                        cache: () => false,
+                        users: () => ({
+                            success: false,
+                            code: "ALLSERVER_CLIENT_INTROSPECTION_FAILED",
+                            message: "Oops",
+                        }),
+                        queue() {
+                            throw new Error("Connection lost");
+                        },
+                    },
+                },
+            });
+
+            const liveness = await server.checkHealth();
+            const readiness = await server.checkReadiness();
+
+            assert.strictEqual(liveness.success, true);
+            assert.strictEqual(liveness.code, "ALLSERVER_HEALTHY");
+            assert.deepStrictEqual(Object.keys(liveness.checks), ["db"]);
+            assert.strictEqual(readiness.success, false);
+            assert.strictEqual(readiness.code, "ALLSERVER_UNHEALTHY");
+            assert.strictEqual(readiness.message, "Failed: cache, users, queue");
+            assert.strictEqual(readiness.checks.db.success, true);
+            assert(readiness.checks.db.duration >= 0);
+            assert.strictEqual(readiness.checks.cache.message, "Check failed");
+            assert.strictEqual(readiness.checks.users.message, "Oops");
+            assert.strictEqual(readiness.checks.queue.message, "Connection lost");
+        });
+
+        it("should time out the slow checks", async () => {
+            const health = Health({ timeout: 10 }).addCheck("slow", () => new Promise(() => {}));
+            const server = Allserver({ health });
+
+            const report = await server.checkReadiness();
+
+            assert.strictEqual(report.success, false);
+            assert.strictEqual(report.checks.slow.message, "Timed out after 10ms");
+        });
+
+        it("should not be ready while shutting down", async () => {
+            const MockedTransport = VoidTransport.methods({ async stopServer() {} });
+            const server = Allserver({ transport: MockedTransport(), health: true });
+            await server.stop();
+
+            assert.strictEqual((await server.checkHealth()).success, true);
+            const readiness = await server.checkReadiness();
+            assert.strictEqual(readiness.success, false);
+            assert.strictEqual(readiness.code, "ALLSERVER_SHUTTING_DOWN");
+        });
+
+        it("should validate checks", () => {
+            assert.throws(
+                () => Allserver({ health: { checks: { db: "nope" } } }),
+                /'db' health check must be a function/
+            );
+        });
+    });
+
+    describe("batch", () => {
+        it("should run the calls through the full pipeline", async () => {
+            const seen = [];
+            const server = Allserver({
+                batch: true,
+                logger: { error() {} },
+                before(ctx) {
+                    seen.push([ctx.procedureName, ctx.transport.getName(), ctx.batch.index, ctx.requestId]);
+                },
+                procedures: {
+                    echo: (arg) => arg,
+                    fails() {
+                        throw new Error("oops");
+                    },
+                },
+            });
+            const calls = [{ procedure: "echo", arg: { a: 1 } }, { procedure: "fails" }, { procedure: "nope" }];
+            const ctx = { void: { proc: "batch", headers: { "x-request-id": "abc" } }, arg: { calls } };
+
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(ctx.result, [
+                { success: true, code: "SUCCESS", message: "Success", echo: { a: 1 } },
+                { success: false, code: "ALLSERVER_PROCEDURE_ERROR", message: "'oops' error in 'fails' procedure" },
+                { success: false, code: "ALLSERVER_PROCEDURE_NOT_FOUND", message: "Procedure 'nope' not found" },
+            ]);
+            assert.deepStrictEqual(seen, [
+                ["echo", "void", 0, "abc"],
+                ["fails", "void", 1, "abc"],
+                ["nope", "void", 2, "abc"],
+            ]);
+        });
+
+        it("should run the calls in parallel or in sequence", async () => {
+            const order = [];
+            const server = Allserver({
+                batch: true,
+                procedures: {
+                    async slow() {
+                        await new Promise((r) => setTimeout(r, 5));
+                        order.push("slow");
+                    },
+                    fast: () => order.push("fast") && undefined,
+                },
+            });
+            const calls = [{ procedure: "slow" }, { procedure: "fast" }];
+
+            await server.handleCall({ void: { proc: "batch" }, arg: { calls } });
+            assert.deepStrictEqual(order, ["fast", "slow"]);
+
+            order.length = 0;
+            await server.handleCall({ void: { proc: "batch" }, arg: { calls, sequential: true } });
+            assert.deepStrictEqual(order, ["slow", "fast"]);
+        });
+
+        it("should let each call have its own headers", async () => {
+            const keys = [];
+            const server = Allserver({
+                batch: true,
+                procedures: {
+                    foo: (arg, ctx) => keys.push(ctx.transport.getHeaders(ctx)["idempotency-key"]) && undefined,
+                },
+            });
+            const calls = [{ procedure: "foo", headers: { "Idempotency-Key": "1" } }, { procedure: "foo" }];
+
+            await server.handleCall({ void: { proc: "batch", headers: { "idempotency-key": "0" } }, arg: { calls } });
+
+            assert.deepStrictEqual(keys, ["1", "0"]);
+        });
+
+        it("should reply bad arguments to malformed batches", async () => {
+            let preparedReply = false;
+            const MockedTransport = VoidTransport.methods({
+                prepareBadArgumentsReply() {
+                    preparedReply = true;
+                },
+            });
+            const server = Allserver({ transport: MockedTransport(), batch: { maxSize: 1 } });
+
+            for (const arg of [
+                {},
+                { calls: [{ procedure: "testMethod" }, { procedure: "testMethod" }] },
+                { calls: [1] },
+            ]) {
+                preparedReply = false;
+                const ctx = { void: { proc: "batch" }, arg };
+                await server.handleCall(ctx);
+                assert.strictEqual(ctx.result.code, "ALLSERVER_BAD_ARGUMENTS");
+                assert(preparedReply);
+            }
+        });
+
+        it("should count the batch request as a call", async () => {
+            const ended = [];
+            let inFlightCalls;
+            const server = Allserver({
+                batch: true,
+                metrics: true,
+                procedures: { foo: () => void (inFlightCalls = server.inFlightCalls) },
+            });
+            server.on("call:end", ({ procedureName, code }) => ended.push([procedureName, code]));
+
+            await server.handleCall({ void: { proc: "batch" }, arg: { calls: [{ procedure: "foo" }] } });
+
+            assert.strictEqual(inFlightCalls, 2);
+            assert.strictEqual(server.inFlightCalls, 0);
+            assert.deepStrictEqual(ended, [
+                ["foo", "SUCCESS"],
+                ["batch", "SUCCESS"],
+            ]);
+            const { calls } = server.metrics.snapshot();
+            assert(calls.some((c) => c.procedure === "batch" && c.code === "SUCCESS"));
+        });
+
+        it("should rate limit the calls of a batch", async () => {
+            const server = Allserver({ batch: true, rateLimit: { limit: 2 } });
+            const calls = Array.from({ length: 20 }, () => ({ procedure: "testMethod" }));
+            const ctx = { void: { proc: "batch", ip: "1.1.1.1" }, arg: { calls } };
+
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.result.filter((r) => r.success).length, 2);
+        });
+
+        it("should not nest batches or serve them if disabled", async () => {
+            const server = Allserver({ batch: true });
+            const ctx = { void: { proc: "batch" }, arg: { calls: [{ procedure: "batch", arg: { calls: [] } }] } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.result[0].code, "ALLSERVER_PROCEDURE_NOT_FOUND");
+
+            const ctx2 = { void: { proc: "batch" }, arg: { calls: [] } };
+            await Allserver().handleCall(ctx2);
+            assert.strictEqual(ctx2.result.code, "ALLSERVER_PROCEDURE_NOT_FOUND");
+        });
+    });
+
+    describe("tracing", () => {
+        const traceparent = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+
+        it("should continue the caller's trace and export the span", async () => {
+            const exporter = InMemorySpanExporter();
+            const server = Allserver({ tracing: { exporter } });
+            const ctx = { void: { proc: "testMethod", headers: { traceparent, tracestate: "vendor=1" } } };
+
+            await server.handleCall(ctx);
+            await Promise.resolve(); // exporting is async
+
+            assert.strictEqual(ctx.trace.traceId, "0af7651916cd43dd8448eb211c80319c");
+            assert.strictEqual(ctx.trace.parentSpanId, "b7ad6b7169203331");
+            assert(/^[0-9a-f]{16}$/.test(ctx.trace.spanId));
+            assert.strictEqual(ctx.trace.tracestate, "vendor=1");
+            assert.strictEqual(exporter.spans.length, 1);
+            const span = exporter.spans[0];
+            assert.strictEqual(span.spanId, ctx.trace.spanId);
+            assert.strictEqual(span.name, "testMethod");
+            assert.strictEqual(span.kind, "server");
+            assert.deepStrictEqual(span.status, { code: "OK", message: "Success" });
+            assert.strictEqual(span.attributes["rpc.allserver.transport"], "void");
+            assert(span.endTime >= span.startTime);
+        });
+
+        it("should start a new trace if traceparent is missing or malformed", async () => {
+            const server = Allserver({ tracing: true });
+            const ctx = { void: { proc: "testMethod", headers: { traceparent: "00-zzz-01" } } };
+
+            await server.handleCall(ctx);
+
+            assert(/^[0-9a-f]{32}$/.test(ctx.trace.traceId));
+            assert.strictEqual(ctx.trace.parentSpanId, undefined);
+            assert.strictEqual(ctx.trace.flags, "01");
+        });
+
+        it("should not export unsampled spans", async () => {
+            const exporter = InMemorySpanExporter();
+            const server = Allserver({ tracing: { exporter } });
+
+            await server.handleCall({
+                void: { proc: "testMethod", headers: { traceparent: traceparent.slice(0, -2) + "00" } },
+            });
+            await Promise.resolve();
+
+            assert.strictEqual(exporter.spans.length, 0);
+        });
+
+        it("should pass the trace to the AllserverClient calls made within the procedure", async function () {
+            if (!require("async_hooks").AsyncLocalStorage) this.skip();
+
+            let callCtx;
+            const client = AllserverClient({
+                transport: require("../../src/client/ClientTransport").methods({
+                    introspect() {},
+                    createCallContext: (defaultCtx) => defaultCtx,
+                    call(ctx) {
+                        callCtx = ctx;
+                        return { success: true, code: "OK", message: "Ok" };
+                    },
+                })({ uri: "void://localhost" }),
+                autoIntrospect: false,
+            });
+            const server = Allserver({
+                tracing: true,
+                procedures: {
+                    async proxy() {
+                        await new Promise((r) => setTimeout(r, 1));
+                        return client.call("other", {});
+                    },
+                },
+            });
+            const ctx = { void: { proc: "proxy", headers: { traceparent } } };
+
+            await server.handleCall(ctx);
+
+            assert.strictEqual(callCtx.trace, ctx.trace);
+        });
+
+        it("should log exporter errors", async () => {
+            let logged;
+            const server = Allserver({
+                tracing: {
+                    exporter: {
+                        export() {
+                            throw new Error("oops");
+                        },
+                    },
+                },
+                logger: { error: (code) => (logged = code) },
+            });
+
+            await server.handleCall({ void: { proc: "testMethod" } });
+            await new Promise((r) => setImmediate(r));
+
+            assert.strictEqual(logged, "ALLSERVER_TRACING_ERROR");
+        });
+    });
+
+    describe("request ID and logging", () => {
+        it("should take the request ID from the caller and echo it back", async () => {
+            const server = Allserver();
+            const ctx = { void: { proc: "testMethod", headers: { "x-request-id": "abc-123" } } };
+
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.requestId, "abc-123");
+            assert.deepStrictEqual(ctx.void.replyHeaders, { "x-request-id": "abc-123" });
+        });
+
+        it("should generate the request ID if missing or malformed", async () => {
+            const server = Allserver({ requestIdHeader: "X-Correlation-ID" });
+            const ctx1 = { void: { proc: "testMethod", headers: { "x-correlation-id": "bad\nid" } } };
+            const ctx2 = { void: { proc: "testMethod" } };
+
+            await server.handleCall(ctx1);
+            await server.handleCall(ctx2);
+
+            assert.notStrictEqual(ctx1.requestId, "bad\nid");
+            assert(ctx1.requestId);
+            assert(ctx2.requestId);
+            assert.notStrictEqual(ctx1.requestId, ctx2.requestId);
+            assert.deepStrictEqual(ctx2.void.replyHeaders, { "x-correlation-id": ctx2.requestId });
+        });
+
+        it("should bind ctx.log to the procedure name and request ID", async () => {
+            const logged = [];
+            const server = Allserver({
+                logger: { error: (...args) => logged.push(args) },
+                procedures: {
+                    fails(arg, ctx) {
+                        ctx.log.info("ignored, the logger has no 'info'");
+                        throw new Error("oops");
+                    },
+                },
+            });
+
+            await server.handleCall({ void: { proc: "fails", headers: { "x-request-id": "abc" } } });
+
+            assert.strictEqual(logged.length, 1);
+            assert.strictEqual(logged[0][0], "ALLSERVER_PROCEDURE_ERROR");
+            assert.strictEqual(logged[0][1].message, "oops");
+            assert.deepStrictEqual(logged[0][2], { requestId: "abc", procedureName: "fails" });
+        });
+
+        it("should use the logger child() if present", async () => {
+            let bindings, logged;
+            const server = Allserver({
+                logger: {
+                    child(b) {
+                        bindings = b;
+                        return { info: (...args) => (logged = args) };
+                    },
+                },
+                procedures: { foo: (arg, ctx) => ctx.log.info("hello", 1) },
+            });
+
+            const ctx = { void: { proc: "foo" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(logged, ["hello", 1]);
+            assert.deepStrictEqual(bindings, { requestId: ctx.requestId, procedureName: "foo" });
+        });
+
+        it("should log access", async () => {
+            const entries = [];
+            const server = Allserver({ accessLog: (entry) => entries.push(entry) });
+
+            await server.handleCall({ void: { proc: "testMethod", headers: { "x-request-id": "abc" } } });
+            await server.handleCall({ void: { proc: "random-name", headers: { "x-request-id": "def" } } });
+
+            assert(entries[0].duration >= 0);
+            assert.deepStrictEqual(
+                entries.map((e) => ({ ...e, duration: 0 })),
+                [
+                    {
+                        requestId: "abc",
+                        procedureName: "testMethod",
+                        transport: "void",
+                        code: "SUCCESS",
+                        success: true,
+                        duration: 0,
+                    },
+                    {
+                        requestId: "def",
+                        procedureName: "random-name",
+                        transport: "void",
+                        code: "ALLSERVER_PROCEDURE_NOT_FOUND",
+                        success: false,
+                        duration: 0,
+                    },
+                ]
+            );
+        });
+
+        it("should log access via logger.info if accessLog is true", async () => {
+            let logged;
+            const server = Allserver({ accessLog: true, logger: { info: (...args) => (logged = args) } });
+
+            await server.handleCall({ void: { proc: "testMethod" } });
+
+            assert.strictEqual(logged[0], "ALLSERVER_ACCESS");
+            assert.strictEqual(logged[1].code, "SUCCESS");
+        });
+    });
+
+    describe("redaction", () => {
+        it("should redact procedure sensitive fields and global rules in built-in logs", async () => {
+            const logged = [];
+            function login({ password }) {
+                throw new Error(`Wrong password ${password} for card 4111111111111111`);
+            }
+            login.sensitive = ["password", "card.number"];
+            const server = Allserver({
+                redact: { keys: [/token/i], values: [/\b\d{13,19}\b/] },
+                logger: { error: (...args) => logged.push(args) },
+                procedures: {
+                    login,
+                    other(arg, ctx) {
+                        ctx.log.error("args", ctx.arg);
+                    },
+                },
+            });
+
+            await server.handleCall({ void: { proc: "other" }, arg: { password: "p", card: { number: "1" } } });
+            await server.handleCall({ void: { proc: "login" }, arg: { password: "p" } });
+
+            // Only the global rules apply to the "other" procedure
+            assert.deepStrictEqual(logged[0][1], { password: "p", card: { number: "1" } });
+            const [code, err] = logged[1];
+            assert.strictEqual(code, "ALLSERVER_PROCEDURE_ERROR");
+            assert(err instanceof Error);
+            assert.strictEqual(err.message, "Wrong password p for card [REDACTED]");
+        });
+
+        it("should provide ctx.redacted() and redact error replies", async () => {
+            let redacted;
+            function login() {
+                throw new AllserverError({ code: "BAD_LOGIN", message: "Nope", password: "p", authToken: "t" });
+            }
+            login.sensitive = ["password", "users.*.password"];
+            const server = Allserver({
+                redact: { keys: [/token/i], censor: "***" },
+                procedures: { login },
+                before(ctx) {
+                    redacted = ctx.redacted(ctx.arg);
+                },
+            });
+            const arg = { password: "p", apiToken: "t", users: [{ name: "a", password: "p" }], createdAt: new Date(0) };
+            const ctx = { void: { proc: "login" }, arg };
+
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(redacted, {
+                password: "***",
+                apiToken: "***",
+                users: [{ name: "a", password: "***" }],
+                createdAt: new Date(0),
+            });
+            assert.strictEqual(arg.password, "p", "The original must stay intact");
+            assert.deepStrictEqual(ctx.result, {
+                success: false,
+                code: "BAD_LOGIN",
+                message: "Nope",
+                password: "***",
+                authToken: "***",
+            });
+        });
+
+        it("should not copy anything without redaction rules", async () => {
+            const server = Allserver();
+            const ctx = { void: { proc: "testMethod" }, arg: {} };
+
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.redacted(ctx.arg), ctx.arg);
+        });
+
+        it("should not introspect the sensitive field paths", async () => {
+            function login() {}
+            Object.assign(login, { description: "Logs in", sensitive: ["password", "card.number"] });
+            const server = Allserver({
+                procedures: { login },
+                transport: VoidTransport.methods({ isIntrospection: () => true })(),
+            });
+
+            const ctx = { void: { proc: "" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(JSON.parse(ctx.result.details), { login: { description: "Logs in" } });
+            assert(!ctx.result.details.includes("card.number"));
+        });
+    });
+
+    describe("graceful shutdown", () => {
+        it("should refuse new calls while shutting down", async () => {
+            let preparedReply = false;
+            const MockedTransport = VoidTransport.methods({
+                async stopServer() {},
+                prepareShuttingDownReply(ctx) {
+                    assert.strictEqual(ctx.result.code, "ALLSERVER_SHUTTING_DOWN");
+                    preparedReply = true;
+                },
+            });
+            const server = Allserver({
+                procedures: {
+                    testMethod() {
+                        assert.fail("Must not be called");
+                    },
                 },
+                transport: MockedTransport(),
             });
+            await server.stop();
 
-            const server = Allserver({ transport: MockedTransport() });
-            const promise = server.start();
+            const ctx = { void: { proc: "testMethod" } };
+            await server.handleCall(ctx);
 
-            assert(promise.then);
-            await promise;
-            assert(started);
+            assert(preparedReply);
+            assert.deepStrictEqual(ctx.result, {
+                success: false,
+                code: "ALLSERVER_SHUTTING_DOWN",
+                message: "Server is shutting down",
+            });
         });
-    });
 
-    describe("#stop", () => {
-        it("should call transport stopServer()", async () => {
+        it("should wait for in-flight calls before stopping transports", async () => {
+            let stoppedWith;
+            const MockedTransport = VoidTransport.methods({
+                async stopServer(options) {
+                    stoppedWith = options;
+                },
+            });
+            let finishCall;
+            const server = Allserver({
+                procedures: { slow: () => new Promise((resolve) => (finishCall = resolve)) },
+                transport: MockedTransport(),
+            });
+
+            const slowCtx = { void: { proc: "slow" } };
+            const slowCallPromise = server.handleCall(slowCtx);
+            assert.strictEqual(server.inFlightCalls, 1);
+
+            const stopPromise = server.stop();
+            await new Promise((r) => setTimeout(r, 10));
+            assert.strictEqual(stoppedWith, undefined, "Must not stop transports while calls are running");
+
+            const newCtx = { void: { proc: "slow" } };
+            await server.handleCall(newCtx);
+            assert.strictEqual(newCtx.result.code, "ALLSERVER_SHUTTING_DOWN");
+
+            finishCall("done");
+            await slowCallPromise;
+            await stopPromise;
+
+            assert.strictEqual(server.inFlightCalls, 0);
+            assert.strictEqual(slowCtx.result.slow, "done");
+            assert.deepStrictEqual(stoppedWith, { force: false });
+        });
+
+        it("should force stop transports after shutdownTimeout", async () => {
+            let stoppedWith;
+            let logged = false;
+            const server = Allserver({
+                logger: {
+                    error(code, err) {
+                        assert.strictEqual(code, "ALLSERVER_SHUTDOWN_TIMEOUT");
+                        assert.strictEqual(err.message, "1 call(s) still running after 10ms");
+                        logged = true;
+                    },
+                },
+                procedures: { hangs: () => new Promise(() => {}) },
+                transport: VoidTransport.methods({
+                    async stopServer(options) {
+                        stoppedWith = options;
+                    },
+                })(),
+                shutdownTimeout: 10,
+            });
+
+            server.handleCall({ void: { proc: "hangs" } });
+            await server.stop();
+
+            assert(logged);
+            assert.deepStrictEqual(stoppedWith, { force: true });
+        });
+
+        it("should stop on shutdownSignals and re-raise the signal", async () => {
             let stopped = false;
+            const server = Allserver({
+                transport: VoidTransport.methods({
+                    async startServer() {},
+                    async stopServer() {
+                        stopped = true;
+                    },
+                })(),
+                shutdownSignals: ["SIGUSR2"],
+            });
+            const listenersBefore = process.listenerCount("SIGUSR2");
+            await server.start();
+            assert.strictEqual(process.listenerCount("SIGUSR2"), listenersBefore + 1);
+
+            const originalKill = process.kill;
+            const killed = new Promise((resolve) => {
+                process.kill = (pid, signal) => resolve({ pid, signal });
+            });
+            try {
+                process.emit("SIGUSR2");
+                assert.deepStrictEqual(await killed, { pid: process.pid, signal: "SIGUSR2" });
+            } finally {
+                process.kill = originalKill;
+            }
+
+            assert(stopped);
+            assert.strictEqual(process.listenerCount("SIGUSR2"), listenersBefore);
+        });
+    });
+
+    describe("transports", () => {
+        it("should start and stop all transports", async () => {
+            const events = [];
             const MockedTransport = VoidTransport.methods({
+                async startServer(defaultCtx) {
+                    assert.strictEqual(defaultCtx.allserver, server);
+                    assert.strictEqual(defaultCtx.transport, this);
+                    events.push(`start ${this.name}`);
+                },
                 async stopServer() {
-                    stopped = true;
+                    events.push(`stop ${this.name}`);
                 },
             });
+            const http = MockedTransport.props({ name: "http" })();
+            const grpc = MockedTransport.props({ name: "grpc" })();
 
-            const server = Allserver({ transport: MockedTransport() });
-            const promise = server.stop();
+            const server = Allserver({ transports: [http, grpc] });
+            assert.strictEqual(server.transport, http, "The first transport must be the main one");
 
-            assert(promise.then);
-            await promise;
-            assert(stopped);
+            await server.start();
+            await server.stop();
+
+            assert.deepStrictEqual(events, ["start http", "start grpc", "stop http", "stop grpc"]);
+        });
+
+        it("should share calls count and middlewares, and tell which transport the call came from", async () => {
+            const transportsCalledFrom = [];
+            const http = VoidTransport();
+            const grpc = VoidTransport();
+            const server = Allserver({
+                transports: [http, grpc],
+                before(ctx) {
+                    transportsCalledFrom.push(ctx.transport);
+                },
+            });
+
+            const httpCtx = { void: { proc: "testMethod" }, transport: http };
+            await server.handleCall(httpCtx);
+            const grpcCtx = { void: { proc: "testMethod" }, transport: grpc };
+            await server.handleCall(grpcCtx);
+
+            assert.strictEqual(httpCtx.callNumber, 0);
+            assert.strictEqual(grpcCtx.callNumber, 1);
+            assert.strictEqual(server.callsCount, 2);
+            assert.deepStrictEqual(transportsCalledFrom, [http, grpc]);
+        });
+
+        it("should reply via the transport the call came from", async () => {
+            const replied = [];
+            const MockedTransport = VoidTransport.methods({
+                reply() {
+                    replied.push(this);
+                },
+            });
+            const http = MockedTransport();
+            const grpc = MockedTransport();
+            const server = Allserver({ transports: [http, grpc] });
+
+            await server.handleCall({ void: { proc: "testMethod" }, transport: grpc });
+
+            assert.strictEqual(replied.length, 1);
+            assert.strictEqual(replied[0], grpc);
         });
     });
 
@@ -262,6 +1956,324 @@ describe("Allserver", () => {
             await server.handleCall(ctx);
             assert(replied);
         });
+        it("should introspect procedure metadata", async () => {
+            function getUser() {}
+            Object.assign(getUser, {
+                description: "Finds a user by ID",
+                argSchema: { type: "object", required: ["id"], properties: { id: { type: "string" } } },
+                resultSchema: { type: "object", properties: { user: { type: "object" } } },
+                errors: ["USER_NOT_FOUND"],
+                tags: ["users"],
+                deprecated: "Use findUsers instead",
+            });
+            const server = Allserver({
+                procedures: { getUser, bar() {} },
+                transport: VoidTransport.methods({ isIntrospection: () => true })(),
+            });
+
+            const ctx = { void: { proc: "" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(JSON.parse(ctx.result.procedures), { getUser: "function", bar: "function" });
+            const expectedDetails = {
+                getUser: {
+                    description: "Finds a user by ID",
+                    argSchema: getUser.argSchema,
+                    resultSchema: getUser.resultSchema,
+                    errors: ["USER_NOT_FOUND"],
+                    tags: ["users"],
+                    deprecated: "Use findUsers instead",
+                },
+                bar: {},
+            };
+            assert.deepStrictEqual(ctx.introspectionDetails, expectedDetails);
+            assert.deepStrictEqual(JSON.parse(ctx.result.details), expectedDetails);
+        });
+
+        it("should not introspect procedure server settings", async () => {
+            function getUser() {}
+            Object.assign(getUser, {
+                description: "Finds a user by ID",
+                timeout: 1000,
+                roles: ["admin"],
+                scopes: ["users:read"],
+                rateLimit: { limit: 10 },
+                concurrency: { limit: 1 },
+                cache: { ttl: 1000 },
+                idempotent: true,
+            });
+            const server = Allserver({
+                procedures: { getUser },
+                transport: VoidTransport.methods({ isIntrospection: () => true })(),
+            });
+
+            const ctx = { void: { proc: "" } };
+            await server.handleCall(ctx);
+
+            assert.deepStrictEqual(JSON.parse(ctx.result.details), { getUser: { description: "Finds a user by ID" } });
+        });
+
+        it("should throw if procedure metadata is malformed", () => {
+            function foo() {}
+            foo.tags = "users";
+            assert.throws(
+                () => Allserver({ procedures: { foo } }),
+                /'foo' procedure 'tags' must be an array of strings/
+            );
+        });
+    });
+
+    describe("#addProcedure #removeProcedure #replaceProcedures", () => {
+        it("should change the procedures while running", async () => {
+            const procedures = { foo: () => "foo", users: { create: () => "create" } };
+            const server = Allserver({ procedures });
+            const call = async (proc) => {
+                const ctx = { void: { proc } };
+                await server.handleCall(ctx);
+                return ctx.result.code === "SUCCESS" ? ctx.result[proc] : ctx.result.code;
+            };
+
+            server.addProcedure("bar", () => "bar");
+            server.addProcedure("users/create", () => "created");
+            server.addProcedure("users/delete", () => "deleted");
+            assert.strictEqual(await call("bar"), "bar");
+            assert.strictEqual(await call("users/create"), "created");
+            assert.strictEqual(await call("users/delete"), "deleted");
+
+            assert.strictEqual(server.removeProcedure("foo"), true);
+            assert.strictEqual(server.removeProcedure("users/create"), true);
+            assert.strictEqual(server.removeProcedure("users/create"), false);
+            assert.strictEqual(await call("foo"), "ALLSERVER_PROCEDURE_NOT_FOUND");
+            assert.strictEqual(await call("users/create"), "ALLSERVER_PROCEDURE_NOT_FOUND");
+            assert.deepStrictEqual(Object.keys(server.getProcedures()), ["bar", "users/delete"]);
+
+            server.replaceProcedures({ baz: () => "baz" });
+            assert.strictEqual(await call("bar"), "ALLSERVER_PROCEDURE_NOT_FOUND");
+            assert.strictEqual(await call("baz"), "baz");
+
+            // The original object is left intact
+            assert.deepStrictEqual(Object.keys(procedures), ["foo", "users"]);
+            assert.deepStrictEqual(Object.keys(procedures.users), ["create"]);
+        });
+
+        it("should change the procedures version and notify the transports", () => {
+            const updates = [];
+            const transport = VoidTransport.methods({ updateProcedures: (defaultCtx) => updates.push(defaultCtx) })();
+            const server = Allserver({ procedures: { foo() {} }, transport });
+            const version = server.proceduresVersion;
+            assert(version);
+            assert.strictEqual(Allserver({ procedures: { foo() {} } }).proceduresVersion, version);
+
+            server.addProcedure("bar", () => {});
+            assert.notStrictEqual(server.proceduresVersion, version);
+            server.removeProcedure("bar");
+            assert.strictEqual(server.proceduresVersion, version);
+            assert.deepStrictEqual(updates, [
+                { allserver: server, transport },
+                { allserver: server, transport },
+            ]);
+        });
+
+        it("should return the procedures version via introspection", async () => {
+            const server = Allserver({ transport: VoidTransport.methods({ isIntrospection: () => true })() });
+            const ctx = { void: { proc: "" } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.result.version, server.proceduresVersion);
+        });
+
+        it("should throw and keep the procedures if malformed", () => {
+            const server = Allserver({ procedures: { foo() {} } });
+            const version = server.proceduresVersion;
+            assert.throws(() => server.addProcedure("bar", 1), /'procedure' must be a function/);
+            const bar = Object.assign(() => {}, { tags: "x" });
+            assert.throws(() => server.addProcedure("bar", bar), /'bar' procedure 'tags' must be an array of strings/);
+            assert.throws(() => server.replaceProcedures({ bar: 1 }), /All procedures must be functions/);
+            assert.deepStrictEqual(Object.keys(server.getProcedures()), ["foo"]);
+            assert.strictEqual(server.proceduresVersion, version);
+        });
+    });
+
+    describe("versioning", () => {
+        const getUserV1 = Object.assign(() => "v1", { deprecated: "Use getUser@2" });
+        const procedures = { "getUser@1": getUserV1, "getUser@2": () => "v2", users: { "list@1": () => "list" } };
+
+        it("should route to the requested version", async () => {
+            const server = Allserver({ procedures, logger: { warn() {} } });
+            const call = async (proc, arg, headers) => {
+                const ctx = { void: { proc, headers }, arg };
+                await server.handleCall(ctx);
+                return [ctx.procedureName, ctx.result.getUser || ctx.result.code, ctx.arg];
+            };
+
+            assert.deepStrictEqual(await call("getUser@1", {}), ["getUser@1", "v1", {}]);
+            assert.deepStrictEqual(await call("getUser", {}, { "x-procedure-version": "1" }), ["getUser@1", "v1", {}]);
+            assert.deepStrictEqual(await call("getUser", { _version: 1, id: 1 }), ["getUser@1", "v1", { id: 1 }]);
+            assert.deepStrictEqual(await call("getUser@3", {}), ["getUser@3", "ALLSERVER_PROCEDURE_NOT_FOUND", {}]);
+
+            // The latest non-deprecated version by default
+            assert.deepStrictEqual(await call("getUser", {}), ["getUser@2", "v2", {}]);
+            server.addProcedure(
+                "getUser@10",
+                Object.assign(() => "v10", { deprecated: true })
+            );
+            assert.deepStrictEqual(await call("getUser", {}), ["getUser@2", "v2", {}]);
+            server.addProcedure("getUser", () => "unversioned");
+            assert.deepStrictEqual(await call("getUser", {}), ["getUser", "unversioned", {}]);
+
+            const ctx = { void: { proc: "users/list" } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.result["users/list"], "list");
+        });
+
+        it("should not change the argument of the procedures without versions", async () => {
+            const server = Allserver({ procedures: { ...procedures, echo: (arg) => arg } });
+
+            const ctx = { void: { proc: "echo" }, arg: { _version: 1, id: 1 } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.procedureName, "echo");
+            assert.deepStrictEqual(ctx.result.echo, { _version: 1, id: 1 });
+        });
+
+        it("should ignore the version header of the procedures without versions", async () => {
+            const server = Allserver({ procedures: { ...procedures, sayHello: () => "hello" } });
+
+            const ctx = { void: { proc: "sayHello", headers: { "x-procedure-version": "2" } } };
+            await server.handleCall(ctx);
+
+            assert.strictEqual(ctx.procedureName, "sayHello");
+            assert.strictEqual(ctx.result.sayHello, "hello");
+        });
+
+        it("should warn about the deprecated procedures", async () => {
+            const warnings = [];
+            const server = Allserver({ procedures, metrics: true, logger: { warn: (...args) => warnings.push(args) } });
+
+            for (let i = 0; i < 2; i += 1) {
+                const ctx = { void: { proc: "getUser@1" } };
+                await server.handleCall(ctx);
+                assert.strictEqual(ctx.result.deprecated, "Use getUser@2");
+                assert.strictEqual(ctx.void.replyHeaders.deprecation, "true");
+            }
+            const ctx = { void: { proc: "getUser@2" } };
+            await server.handleCall(ctx);
+            assert.strictEqual(ctx.result.deprecated, undefined);
+
+            assert.deepStrictEqual(
+                warnings.map(([code, message]) => [code, message]),
+                [["ALLSERVER_DEPRECATED_PROCEDURE", "Use getUser@2"]]
+            );
+            assert.deepStrictEqual(server.metrics.snapshot().deprecatedCalls, [
+                { procedure: "getUser@1", transport: "void", value: 2 },
+            ]);
+        });
+    });
+
+    describe("events", () => {
+        it("should emit the call events", async () => {
+            const events = [];
+            const server = Allserver({
+                logger: { error() {} },
+                procedures: {
+                    foo: () => ({ success: false, code: "FOO", message: "Foo" }),
+                    throws() {
+                        throw new Error("Boom");
+                    },
+                    bad: Object.assign(() => {}, {
+                        before() {
+                            throw new Error("Bad middleware");
+                        },
+                    }),
+                },
+            });
+            for (const eventName of ["call:start", "call:end", "procedure:error", "middleware:error"]) {
+                server.on(eventName, (event) => events.push([eventName, { ...event, duration: 0 }]));
+            }
+
+            for (const proc of ["foo", "throws", "bad"]) {
+                await server.handleCall({ void: { proc, headers: { "x-request-id": proc } } });
+            }
+
+            const info = (proc) => ({ requestId: proc, procedureName: proc, transport: "void", duration: 0 });
+            assert.deepStrictEqual(
+                events.map(([eventName, { error, ...event }]) => [eventName, event, error && error.message]),
+                [
+                    ["call:start", info("foo"), undefined],
+                    ["call:end", { ...info("foo"), code: "FOO", success: false }, undefined],
+                    ["call:start", info("throws"), undefined],
+                    ["procedure:error", info("throws"), "Boom"],
+                    ["call:end", { ...info("throws"), code: "ALLSERVER_PROCEDURE_ERROR", success: false }, undefined],
+                    ["call:start", info("bad"), undefined],
+                    ["middleware:error", { ...info("bad"), middlewareType: "before" }, "Bad middleware"],
+                    ["call:end", { ...info("bad"), code: "ALLSERVER_MIDDLEWARE_ERROR", success: false }, undefined],
+                ]
+            );
+        });
+
+        it("should emit the start, stop and introspection events", async () => {
+            const events = [];
+            const server = Allserver({
+                transport: VoidTransport.methods({
+                    async startServer() {},
+                    async stopServer() {},
+                    isIntrospection: () => true,
+                })(),
+            });
+            server.once("start", (event) => events.push(["start", event]));
+            server.on("stop", (event) => events.push(["stop", event]));
+            server.on("introspection", (event) => events.push(["introspection", event.version]));
+
+            await server.start();
+            await server.start();
+            await server.handleCall({ void: { proc: "" } });
+            await server.stop();
+
+            assert.deepStrictEqual(events, [
+                ["start", { transports: ["void"] }],
+                ["introspection", server.proceduresVersion],
+                ["stop", { forced: false }],
+            ]);
+        });
+
+        it("should isolate the listeners", async () => {
+            const logged = [];
+            const server = Allserver({ logger: { error: (...args) => logged.push(args) } });
+            server.on("call:start", () => {
+                throw new Error("Sync listener error");
+            });
+            server.on("call:end", async () => {
+                throw new Error("Async listener error");
+            });
+            let frozen = false;
+            server.on("call:end", (event) => (frozen = Object.isFrozen(event)));
+
+            const ctx = { void: { proc: "testMethod" } };
+            await server.handleCall(ctx);
+            await new Promise((r) => setImmediate(r));
+
+            assert.strictEqual(ctx.result.code, "SUCCESS");
+            assert(frozen);
+            assert.deepStrictEqual(
+                logged.map(([code, err, { eventName }]) => [code, err.message, eventName]),
+                [
+                    ["ALLSERVER_EVENT_LISTENER_ERROR", "Sync listener error", "call:start"],
+                    ["ALLSERVER_EVENT_LISTENER_ERROR", "Async listener error", "call:end"],
+                ]
+            );
+        });
+
+        it("should unsubscribe", async () => {
+            let calls = 0;
+            const listener = () => (calls += 1);
+            const server = Allserver().on("call:end", listener).on("call:start", listener);
+
+            server.off("call:end", listener);
+            await server.handleCall({ void: { proc: "testMethod" } });
+            server.off("call:start");
+            await server.handleCall({ void: { proc: "testMethod" } });
+
+            assert.strictEqual(calls, 1);
+        });
     });
 
     describe("middleware", () => {
@@ -271,13 +2283,17 @@ describe("Allserver", () => {
                 const server = Allserver({
                     before(ctx) {
                         assert.strictEqual(this, server, "The `this` context must be the server itself");
-                        assert.deepStrictEqual(ctx, {
+                        const { requestId, startedAt, log, redacted, ...rest } = ctx;
+                        assert(requestId && startedAt && log && redacted);
+                        assert.deepStrictEqual(rest, {
+                            transport: server.transport,
                             callNumber: 0,
                             procedure: server.procedures.testMethod,
                             procedureName: "testMethod",
                             isIntrospection: false,
                             void: {
                                 proc: "testMethod",
+                                replyHeaders: { "x-request-id": requestId },
                             },
                         });
                         called = true;
@@ -376,7 +2392,10 @@ describe("Allserver", () => {
                 const server = Allserver({
                     after(ctx) {
                         assert.strictEqual(this, server, "The `this` context must be the server itself");
-                        assert.deepStrictEqual(ctx, {
+                        const { requestId, startedAt, log, redacted, ...rest } = ctx;
+                        assert(requestId && startedAt && log && redacted);
+                        assert.deepStrictEqual(rest, {
+                            transport: server.transport,
                             callNumber: 0,
                             procedure: server.procedures.testMethod,
                             procedureName: "testMethod",
@@ -388,6 +2407,7 @@ describe("Allserver", () => {
                             },
                             void: {
                                 proc: "testMethod",
+                                replyHeaders: { "x-request-id": requestId },
                             },
                         });
                         called = true;
@@ -480,6 +2500,236 @@ describe("Allserver", () => {
             });
         });
 
+        describe("'around'", () => {
+            it("should wrap the procedure call in order", async () => {
+                const events = [];
+                const server = Allserver({
+                    procedures: {
+                        testMethod() {
+                            events.push("procedure");
+                            return 42;
+                        },
+                    },
+                    before: () => events.push("before") && undefined,
+                    after: () => events.push("after") && undefined,
+                    around: [
+                        async function (ctx, next) {
+                            assert.strictEqual(this, server, "The `this` context must be the server itself");
+                            events.push("around 1 start");
+                            const result = await next();
+                            assert.strictEqual(result, ctx.result);
+                            events.push("around 1 end");
+                        },
+                        async (ctx, next) => {
+                            events.push("around 2 start");
+                            try {
+                                await next();
+                            } finally {
+                                events.push("around 2 end");
+                            }
+                        },
+                    ],
+                });
+
+                const ctx = { void: { proc: "testMethod" } };
+                await server.handleCall(ctx);
+
+                assert.deepStrictEqual(events, [
+                    "before",
+                    "around 1 start",
+                    "around 2 start",
+                    "procedure",
+                    "around 2 end",
+                    "around 1 end",
+                    "after",
+                ]);
+                assert.strictEqual(ctx.result.testMethod, 42);
+            });
+
+            it("should allow result override and short-circuit", async () => {
+                const server = Allserver({
+                    procedures: {
+                        testMethod() {
+                            assert.fail("Must not be called");
+                        },
+                    },
+                    around: () => ({ success: false, code: "NOPE", message: "Short-circuited" }),
+                });
+
+                const ctx = { void: { proc: "testMethod" } };
+                await server.handleCall(ctx);
+
+                assert.deepStrictEqual(ctx.result, { success: false, code: "NOPE", message: "Short-circuited" });
+            });
+
+            it("should handle exceptions from 'around'", async () => {
+                let logged = false;
+                let caught;
+                const server = Allserver({
+                    logger: {
+                        error(code, err) {
+                            assert.strictEqual(code, "ALLSERVER_MIDDLEWARE_ERROR");
+                            assert.strictEqual(err.message, "Handle me please");
+                            logged = true;
+                        },
+                    },
+                    around: [
+                        async (ctx, next) => {
+                            try {
+                                await next();
+                            } catch (err) {
+                                caught = err;
+                                throw err;
+                            }
+                        },
+                        () => {
+                            throw new Error("Handle me please");
+                        },
+                    ],
+                });
+
+                const ctx = { void: { proc: "testMethod" } };
+                await server.handleCall(ctx);
+
+                assert(logged);
+                assert.strictEqual(caught, ctx.error, "Outer middleware must see inner errors");
+                assert.deepStrictEqual(ctx.result, {
+                    success: false,
+                    code: "ALLSERVER_MIDDLEWARE_ERROR",
+                    message: "'Handle me please' error in 'around' middleware",
+                });
+            });
+
+            it("should not allow calling next() twice", async () => {
+                const server = Allserver({
+                    logger: { error() {} },
+                    async around(ctx, next) {
+                        await next();
+                        await next();
+                    },
+                });
+
+                const ctx = { void: { proc: "testMethod" } };
+                await server.handleCall(ctx);
+
+                assert.strictEqual(ctx.result.message, "'next() called multiple times' error in 'around' middleware");
+            });
+
+            it("should add 'around' middlewares with use()", async () => {
+                const events = [];
+                const server = Allserver();
+                const returned = server
+                    .use(async (ctx, next) => {
+                        events.push(1);
+                        await next();
+                    })
+                    .use(async (ctx, next) => {
+                        events.push(2);
+                        await next();
+                    });
+                assert.strictEqual(returned, server);
+
+                await server.handleCall({ void: { proc: "testMethod" } });
+
+                assert.deepStrictEqual(events, [1, 2]);
+            });
+        });
+
+        describe("scoped", () => {
+            it("should call middlewares for matching procedures only", async () => {
+                const called = [];
+                const byName = () => called.push("byName") && undefined;
+                byName.only = "getUser";
+                const byGlob = () => called.push("byGlob") && undefined;
+                byGlob.only = ["admin/*"];
+                const byPredicate = () => called.push("byPredicate") && undefined;
+                byPredicate.only = (ctx) => ctx.arg && ctx.arg.secret;
+                const server = Allserver({
+                    procedures: { getUser() {}, admin: { ban() {}, users: { ban() {} } } },
+                    before: [byName, byGlob, byPredicate],
+                });
+
+                const calls = {
+                    getUser: ["byName"],
+                    "admin/ban": ["byGlob"],
+                    "admin/users/ban": [],
+                };
+                for (const [procedureName, expected] of Object.entries(calls)) {
+                    called.length = 0;
+                    await server.handleCall({ void: { proc: procedureName } });
+                    assert.deepStrictEqual(called, expected, procedureName);
+                }
+
+                called.length = 0;
+                await server.handleCall({ void: { proc: "admin/users/ban" }, arg: { secret: true } });
+                assert.deepStrictEqual(called, ["byPredicate"]);
+            });
+
+            it("should not call name scoped middlewares for introspection", async () => {
+                let called = false;
+                const before = () => {
+                    called = true;
+                };
+                before.only = "**";
+                const server = Allserver({
+                    before,
+                    transport: VoidTransport.methods({ isIntrospection: () => true })(),
+                });
+
+                await server.handleCall({ void: { proc: "" } });
+
+                assert(!called);
+            });
+
+            it("should call procedure own middlewares", async () => {
+                const events = [];
+                function deleteUser() {
+                    events.push("procedure");
+                }
+                Object.assign(deleteUser, {
+                    before: () => events.push("own before") && undefined,
+                    after: [() => events.push("own after") && undefined],
+                    async around(ctx, next) {
+                        events.push("own around");
+                        await next();
+                    },
+                });
+                const server = Allserver({
+                    procedures: { deleteUser, other() {} },
+                    before: () => events.push("before") && undefined,
+                    after: () => events.push("after") && undefined,
+                    async around(ctx, next) {
+                        events.push("around");
+                        await next();
+                    },
+                });
+
+                await server.handleCall({ void: { proc: "deleteUser" } });
+                assert.deepStrictEqual(events, [
+                    "before",
+                    "own before",
+                    "around",
+                    "own around",
+                    "procedure",
+                    "own after",
+                    "after",
+                ]);
+
+                events.length = 0;
+                await server.handleCall({ void: { proc: "other" } });
+                assert.deepStrictEqual(events, ["before", "around", "after"]);
+            });
+
+            it("should throw if procedure own middlewares are not functions", () => {
+                function foo() {}
+                foo.before = [() => {}, "bad"];
+                assert.throws(
+                    () => Allserver({ procedures: { foo } }),
+                    /'foo' procedure 'before' must be a function or an array of functions/
+                );
+            });
+        });
+
         describe("'before'+'after'", () => {
             it("should call 'after' even if 'before' throws", async () => {
                 let afterCalled = false;
@@ -530,6 +2780,7 @@ describe("Allserver", () => {
             const after = () => {};
 
             const NewServer = Allserver.defaults({ procedures, transport, logger, introspection, before, after });
+            const NewServerWithTransports = Allserver.defaults({ procedures, transports: [transport] });
 
             function propsAreOk(props) {
                 assert.strictEqual(props.procedures, procedures);
@@ -542,6 +2793,8 @@ describe("Allserver", () => {
 
             propsAreOk(NewServer.compose.properties);
             propsAreOk(NewServer());
+            assert.deepStrictEqual(NewServerWithTransports().transports, [transport]);
+            assert.strictEqual(NewServerWithTransports().transport, transport);
         });
 
         it("should create new factory", () => {